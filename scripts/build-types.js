@@ -0,0 +1,124 @@
+/**
+ * Writes `types/config.d.ts`, the TypeScript version of `config.schema.json`.
+ * Run with `npm run types` after changing the schema.
+ */
+import fs from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const schema = JSON.parse(
+  fs.readFileSync(resolve(root, "config.schema.json"), "utf8"),
+);
+
+// JS values JSON schema can't describe, by property path
+const overrides = {
+  filters: "Record<string, (...args: any[]) => unknown>",
+  functions: "Record<string, (...args: any[]) => unknown>",
+  tests: "Record<string, (...args: any[]) => unknown>",
+  "assetResolver.asset": "(path: string) => string | Promise<string>",
+  "assetResolver.entry": "(path: string) => string | Promise<string>",
+  "logger.info": "(message: string) => void",
+  "logger.warn": "(message: string) => void",
+  "logger.error": "(message: string) => void",
+};
+
+/**
+ * @param {string} text - Description from the schema
+ * @param {string} indent - Indentation of the commented line
+ * @returns {string} - JSDoc comment
+ */
+const toComment = (text, indent) =>
+  `${indent}/**\n${text
+    .split("\n")
+    .map((line) => `${indent} * ${line}`.trimEnd())
+    .join("\n")}\n${indent} */\n`;
+
+/**
+ * @param {object} property - JSON schema
+ * @param {string} path - Property path, e.g. `src.roots`
+ * @param {string} indent - Indentation of the property the type is for
+ * @returns {string} - TypeScript type
+ */
+function toType(property, path, indent) {
+  if (overrides[path]) {
+    return overrides[path];
+  }
+  if (property.oneOf) {
+    return property.oneOf
+      .map((option) => toType(option, path, indent))
+      .join(" | ");
+  }
+  if ("const" in property) {
+    return JSON.stringify(property.const);
+  }
+  if (property.enum) {
+    return property.enum.map((value) => JSON.stringify(value)).join(" | ");
+  }
+
+  switch (property.type) {
+    case "string":
+      return "string";
+    case "integer":
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "array": {
+      const items = toType(property.items ?? {}, `${path}[]`, indent);
+      return items.includes(" ") && !items.startsWith("{")
+        ? `(${items})[]`
+        : `${items}[]`;
+    }
+    case "object":
+      if (property.properties) {
+        return toInterfaceBody(property, path, indent);
+      }
+      return typeof property.additionalProperties === "object"
+        ? `Record<string, ${toType(property.additionalProperties, `${path}.*`, indent)}>`
+        : "Record<string, unknown>";
+    default:
+      return "unknown";
+  }
+}
+
+/**
+ * @param {object} object - JSON schema of an object with `properties`
+ * @param {string} path - Property path of the object
+ * @param {string} indent - Indentation of the object
+ * @returns {string} - Object type, `{ ... }`
+ */
+function toInterfaceBody(object, path, indent) {
+  const required = new Set(object.required ?? []);
+  const inner = `${indent}  `;
+
+  const members = Object.entries(object.properties).map(([key, property]) => {
+    const propertyPath = path ? `${path}.${key}` : key;
+    const description = [property.title, property.description]
+      .filter(Boolean)
+      .join(": ");
+    const defaultValue =
+      "default" in property
+        ? `\n@default ${JSON.stringify(property.default)}`
+        : "";
+    const comment =
+      description || defaultValue
+        ? toComment(`${description}${defaultValue}`.trim(), inner)
+        : "";
+
+    return `${comment}${inner}${key}${required.has(key) ? "" : "?"}: ${toType(property, propertyPath, inner)};`;
+  });
+
+  return `{\n${members.join("\n")}\n${indent}}`;
+}
+
+const output = `// Generated from config.schema.json by scripts/build-types.js, do not edit.
+
+/**
+ * Config of a \`TwigRenderer\`; every option but \`src\` has a default.
+ */
+export interface TwigRendererConfig ${toInterfaceBody(schema, "", "")}
+`;
+
+fs.mkdirSync(resolve(root, "types"), { recursive: true });
+fs.writeFileSync(resolve(root, "types/config.d.ts"), output);
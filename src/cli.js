@@ -0,0 +1,334 @@
+import { Console } from "node:console";
+import fs from "node:fs";
+import {
+  dirname,
+  extname,
+  isAbsolute,
+  join,
+  relative,
+  resolve,
+} from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import lodash from "lodash";
+import TwigRenderer from "./twig-renderer.js";
+import { dataFileFormats, parseDataSources } from "./page-data.js";
+import configSchema from "../config.schema.json" with { type: "json" };
+
+// config.schema.json options that can be set as flags, e.g. `--request-timeout`
+const schemaFlags = Object.entries(configSchema.properties)
+  .filter(
+    ([key, property]) =>
+      property.type !== "object" &&
+      property.type !== "array" &&
+      // the CLI always keeps its server up
+      key !== "keepAlive",
+  )
+  .map(([key, property]) => ({
+    key,
+    flag: lodash.kebabCase(key),
+    type: property.type ?? "string",
+  }));
+
+const usage = `Usage: twig-php [options] <template...>
+       twig-php [options] --string <twig>
+
+Renders Twig templates with PHP and prints the html, or writes it to --out.
+
+Options:
+  -c, --config <file>       Renderer config: JSON like config.schema.json, or a
+                            JS module exporting it (for JS filters and functions)
+  -r, --root <dir>          Template root, repeatable (default: .)
+  -n, --namespace <id=dir>  Template namespace, repeatable
+  -d, --data <file>         Data to render with: .json, .yml, .yaml, .neon or .php
+  -s, --string <twig>       Render this template source instead of files
+  -o, --out <dir>           Write each template to <dir>/<template>.html
+  -w, --watch               Render again when templates or data change
+  -h, --help                Show this help
+
+Renderer options from config.schema.json:
+${schemaFlags
+  .map(
+    ({ flag, type }) => `  --${flag}${type === "boolean" ? "" : ` <${type}>`}`,
+  )
+  .join("\n")}
+
+Exits with 1 when a template fails to render, 2 on invalid arguments.
+`;
+
+class UsageError extends Error {}
+
+/**
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @returns {object} - Parsed arguments
+ */
+function parseCliArgs(argv) {
+  const options = {
+    config: { type: "string", short: "c" },
+    root: { type: "string", short: "r", multiple: true },
+    namespace: { type: "string", short: "n", multiple: true },
+    data: { type: "string", short: "d" },
+    string: { type: "string", short: "s" },
+    out: { type: "string", short: "o" },
+    watch: { type: "boolean", short: "w" },
+    help: { type: "boolean", short: "h" },
+  };
+  schemaFlags.forEach(({ flag, type }) => {
+    options[flag] = { type: type === "boolean" ? "boolean" : "string" };
+  });
+
+  try {
+    return parseArgs({ args: argv, options, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * @param {string} file - JSON config, or a JS module exporting the config
+ * @returns {Promise<object>} - Renderer config
+ */
+async function loadConfigFile(file) {
+  const path = resolve(file);
+  if (!fs.existsSync(path)) {
+    throw new UsageError(`Config file not found: ${file}`);
+  }
+
+  if (extname(path) === ".json") {
+    return JSON.parse(fs.readFileSync(path, "utf8"));
+  }
+
+  const { default: config } = await import(pathToFileURL(path).href);
+  return typeof config === "function" ? config() : config;
+}
+
+/**
+ * @param {object} values - Parsed flags
+ * @returns {Promise<object>} - Renderer config; flags win over the config file
+ */
+async function createConfig(values) {
+  const config = values.config ? await loadConfigFile(values.config) : {};
+
+  config.src = config.src ?? {};
+  if (values.root) {
+    config.src.roots = values.root;
+  }
+  config.src.roots = config.src.roots ?? ["."];
+
+  if (values.namespace) {
+    config.src.namespaces = [
+      ...(config.src.namespaces ?? []),
+      ...values.namespace.map((namespace) => {
+        const [id, path] = namespace.split("=");
+        if (!id || !path) {
+          throw new UsageError(
+            `--namespace needs the form <id>=<dir>, got "${namespace}"`,
+          );
+        }
+        return { id, paths: [path] };
+      }),
+    ];
+  }
+
+  schemaFlags.forEach(({ key, flag, type }) => {
+    const value = values[flag];
+    if (value === undefined) {
+      return;
+    }
+
+    if (type === "integer" || type === "number") {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new UsageError(`--${flag} needs a number, got "${value}"`);
+      }
+      config[key] = number;
+    } else if (value === "true" || value === "false") {
+      config[key] = value === "true";
+    } else {
+      config[key] = value;
+    }
+  });
+
+  // one render server, kept up between renders; stdout is reserved for the
+  // rendered html, so the renderer logs to stderr
+  return {
+    workers: 1,
+    logger: new Console(process.stderr),
+    ...config,
+    keepAlive: true,
+  };
+}
+
+/**
+ * @param {string} template - Template name, e.g. `pages/about.twig`
+ * @returns {string} - Output file for it, e.g. `pages/about.html`
+ */
+const getOutputFile = (template) => {
+  const name = template.replace(/^@/, "").replace(/\.twig$/, "");
+  return extname(name) ? name : `${name}.html`;
+};
+
+/**
+ * @param {string} out - The --out dir
+ * @param {string} template - Template name
+ * @returns {string} - Output file, inside the --out dir
+ */
+const resolveOutputFile = (out, template) => {
+  const path = relative(resolve(out), resolve(out, getOutputFile(template)));
+
+  if (path === "" || path.startsWith("..") || isAbsolute(path)) {
+    throw new UsageError(`${template} would be written outside of --out`);
+  }
+  return join(out, path);
+};
+
+/**
+ * Render everything once
+ * @param {TwigRenderer} renderer - Started renderer
+ * @param {object} values - Parsed flags
+ * @param {string[]} templates - Template names
+ * @returns {Promise<boolean>} - Did everything render?
+ */
+async function render(renderer, values, templates) {
+  let data = {};
+  if (values.data) {
+    const format = dataFileFormats[extname(values.data)];
+    if (!format) {
+      throw new UsageError(`Unsupported data file: ${values.data}`);
+    }
+    [data] = await parseDataSources(renderer, [
+      { format, file: resolve(values.data) },
+    ]);
+  }
+
+  const jobs =
+    values.string !== undefined
+      ? [{ name: "--string", string: values.string }]
+      : templates.map((template) => ({
+          name: template,
+          template,
+          file: values.out ? resolveOutputFile(values.out, template) : null,
+        }));
+  // one request per worker, with the data sent once each
+  const renders = await renderer.renderBatch(jobs, data);
+
+  let ok = true;
+  for (const [index, job] of jobs.entries()) {
+    const results = renders[index];
+
+    if (!results.ok) {
+      ok = false;
+      const { error } = results;
+      const location = error?.file ? ` (${error.file}:${error.line})` : "";
+      process.stderr.write(`${job.name}: ${results.message}${location}\n`);
+      continue;
+    }
+
+    if (values.out) {
+      fs.mkdirSync(dirname(job.file), { recursive: true });
+      fs.writeFileSync(job.file, results.html);
+      process.stderr.write(`Wrote ${job.file}\n`);
+    } else {
+      process.stdout.write(`${results.html}\n`);
+    }
+  }
+
+  return ok;
+}
+
+/**
+ * @param {object} config - Renderer config
+ * @param {object} values - Parsed flags
+ * @returns {string[]} - Roots, namespaces and data file, to watch
+ */
+function getWatchPaths(config, values) {
+  const { src, relativeFrom = "." } = config;
+  const paths = [
+    ...src.roots,
+    ...(src.namespaces ?? []).flatMap(({ paths: dirs }) => dirs),
+  ].map((path) => resolve(relativeFrom, path));
+  if (values.data) {
+    paths.push(resolve(values.data));
+  }
+  return [...new Set(paths)];
+}
+
+/**
+ * Render again whenever one of `paths` changes
+ * @param {string[]} paths - Files and dirs to watch
+ * @param {() => Promise<boolean>} rerender - Renders everything
+ * @param {boolean} ok - Did the first render succeed?
+ * @returns {Promise<boolean>} - Settles once interrupted: did the last render succeed?
+ */
+function watch(paths, rerender, ok) {
+  let lastOk = ok;
+  const onChange = lodash.debounce(async () => {
+    process.stderr.write("Change detected, rendering…\n");
+    try {
+      lastOk = await rerender();
+    } catch (error) {
+      lastOk = false;
+      process.stderr.write(`${error.message}\n`);
+    }
+  }, 100);
+
+  const watchers = paths.map((path) =>
+    fs.watch(path, { recursive: true }, onChange),
+  );
+  process.stderr.write(`Watching ${watchers.length} path(s) for changes\n`);
+
+  return new Promise((done) => {
+    process.once("SIGINT", () => {
+      onChange.cancel();
+      watchers.forEach((watcher) => watcher.close());
+      done(lastOk);
+    });
+  });
+}
+
+/**
+ * Run the `twig-php` command
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @returns {Promise<number>} - Exit code
+ */
+export async function run(argv = process.argv.slice(2)) {
+  let renderer = null;
+  try {
+    const { values, positionals: templates } = parseCliArgs(argv);
+
+    if (values.help) {
+      process.stdout.write(usage);
+      return 0;
+    }
+    if (templates.length === 0 && values.string === undefined) {
+      throw new UsageError("Pass a template to render, or --string");
+    }
+    if (values.string !== undefined && values.out) {
+      throw new UsageError("--out needs templates, not --string");
+    }
+
+    const config = await createConfig(values);
+    const watchPaths = getWatchPaths(config, values);
+    renderer = new TwigRenderer(config);
+    let ok = await render(renderer, values, templates);
+
+    if (values.watch) {
+      ok = await watch(
+        watchPaths,
+        () => render(renderer, values, templates),
+        ok,
+      );
+    }
+
+    return ok ? 0 : 1;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`${error.message}\n\n${usage}`);
+      return 2;
+    }
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  } finally {
+    await renderer?.stop();
+  }
+}
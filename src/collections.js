@@ -0,0 +1,292 @@
+import fs from "node:fs";
+import { extname, isAbsolute, relative, resolve } from "node:path";
+import lodash from "lodash";
+import { normalizePath } from "vite";
+import { getDataPageFormat } from "./page-data.js";
+import { findFiles } from "./utils.js";
+
+/**
+ * Split the collection a data page paginates over into pages.
+ * Arrays are keyed by index, objects by their keys.
+ * @param {object} context - Page data with `paginate: { data, size, alias }`
+ * @returns {{pageNumber: number, keys: string[], items: Array}[]} - Pages, numbered from 1
+ */
+export function getPaginationPages(context) {
+  const { data, size = 1 } = context.paginate;
+  const collection = lodash.get(context, data);
+
+  if (collection === null || typeof collection !== "object") {
+    throw new Error(
+      `paginate.data "${data}" must point to an array or object in the page data`,
+    );
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`paginate.size must be a positive integer, got ${size}`);
+  }
+
+  const entries = Array.isArray(collection)
+    ? collection.map((item, index) => [String(index), item])
+    : Object.entries(collection);
+  const chunks = lodash.chunk(entries, size);
+
+  // an empty collection still renders its first page
+  return (chunks.length > 0 ? chunks : [[]]).map((chunk, index) => ({
+    pageNumber: index + 1,
+    keys: chunk.map(([key]) => key),
+    items: chunk.map(([, item]) => item),
+  }));
+}
+
+/**
+ * Fill in a `permalink` pattern, e.g. `/blog/:page/` or `/posts/:key.html`.
+ * `:page` is the page number, `:key` the key of the page's first item.
+ * @param {string} permalink - Pattern, relative to the site root
+ * @param {{pageNumber: number, keys: string[]}} page - Page
+ * @returns {string} - Url path of the page
+ */
+export function resolvePermalink(permalink, { pageNumber, keys }) {
+  const url = permalink
+    .replace(/:page\b/g, String(pageNumber))
+    .replace(/:key\b/g, encodeURIComponent(keys[0] ?? ""));
+
+  return url.startsWith("/") ? url : `/${url}`;
+}
+
+/**
+ * @param {string} url - Url path, e.g. `/blog/2/`
+ * @returns {string} - Html file serving it, relative to the root, e.g. `blog/2/index.html`
+ */
+export function getOutputFile(url) {
+  const path = decodeURIComponent(url).replace(/^\/+/, "");
+
+  if (path === "" || path.endsWith("/")) {
+    return `${path}index.html`;
+  }
+  return extname(path) ? path : `${path}.html`;
+}
+
+/**
+ * The data one page of a paginated data page is rendered with: `pagination`
+ * and, with `paginate.alias`, its items under that name; the item itself when
+ * `size` is 1.
+ * @param {object} context - Page data with `paginate`
+ * @param {number} pageNumber - Page to render, from 1
+ * @returns {object} - Data to merge into the context
+ */
+export function paginate(context, pageNumber) {
+  const { alias, size = 1 } = context.paginate;
+  const pages = getPaginationPages(context);
+  const page = pages[pageNumber - 1];
+
+  if (!page) {
+    throw new Error(`page ${pageNumber} is out of range (1-${pages.length})`);
+  }
+
+  const hrefs = context.permalink
+    ? pages.map((other) => resolvePermalink(context.permalink, other))
+    : [];
+  const pagination = {
+    pageNumber,
+    pages: pages.length,
+    size,
+    keys: page.keys,
+    items: page.items,
+    hrefs,
+    href: {
+      previous: hrefs[pageNumber - 2] ?? null,
+      next: hrefs[pageNumber] ?? null,
+      first: hrefs[0] ?? null,
+      last: hrefs[hrefs.length - 1] ?? null,
+    },
+  };
+
+  return alias
+    ? {
+        pagination,
+        [alias]: size === 1 ? page.items[0] : page.items,
+      }
+    : { pagination };
+}
+
+/**
+ * Finds the data pages that paginate and the extra pages they expand into.
+ * The data page itself keeps rendering page 1 under its own url; every page
+ * is also served at its `permalink`.
+ */
+class Collections {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Dir to look for data pages in
+   * @param {string} options.root - Vite root, which permalinks are relative to
+   * @param {string[]} options.formats - Page formats, as in the plugin options
+   * @param {(file: string, content: string) => Promise<object>} options.loadContext - Returns the data a page renders with
+   * @param {import('vite').Logger} options.logger - Where data pages that fail to load are reported
+   */
+  constructor({ dir, root, formats, loadContext, logger }) {
+    this.dir = dir;
+    this.root = root;
+    this.formats = formats;
+    this.loadContext = loadContext;
+    this.logger = logger;
+    this.routes = null;
+  }
+
+  /**
+   * @param {string} file - Changed, added or removed file
+   * @returns {boolean} - Is it a data page that could be a collection?
+   */
+  isDataPage(file) {
+    const extension = extname(file).slice(1);
+
+    return (
+      this.formats.includes(extension) &&
+      getDataPageFormat(file) !== null &&
+      // `index.twig.json` is data for `index.twig`, not a page
+      !fs.existsSync(file.slice(0, -extension.length - 1))
+    );
+  }
+
+  /**
+   * Forget the routes, e.g. after a data page changed
+   */
+  invalidate() {
+    this.routes = null;
+  }
+
+  /**
+   * @returns {Promise<Map<string, {file: string, content: string, pageNumber: number}>>} - Pages by their html file, relative to the root
+   */
+  getRoutes() {
+    if (!this.routes) {
+      this.routes = this.findRoutes();
+      // try again on the next request instead of caching the failure
+      this.routes.catch(() => this.invalidate());
+    }
+    return this.routes;
+  }
+
+  async findRoutes() {
+    const routes = new Map();
+    const files = findFiles(this.dir, (file) =>
+      this.isDataPage(file.replace(/\.html$/, "")),
+    );
+
+    for (const file of files) {
+      // during builds vituum renames data pages to `<page>.html`
+      const source = file.replace(/\.html$/, "");
+      const content = fs.readFileSync(file, "utf8");
+
+      // only load the pages that can paginate
+      if (!content.includes("paginate")) {
+        continue;
+      }
+
+      try {
+        const pageRoutes = await this.findPageRoutes(source, content);
+        for (const [outputFile, route] of pageRoutes) {
+          const existing = routes.get(outputFile);
+          if (existing) {
+            throw new Error(
+              `page ${route.pageNumber} and ${existing.file} both render ${outputFile}`,
+            );
+          }
+        }
+        pageRoutes.forEach((route, outputFile) =>
+          routes.set(outputFile, route),
+        );
+      } catch (error) {
+        // one broken data page shouldn't take the others down
+        this.logger.error(`${source}: ${error.message}`, { timestamp: true });
+      }
+    }
+
+    return routes;
+  }
+
+  /**
+   * @param {string} source - Data page
+   * @param {string} content - Its content
+   * @returns {Promise<Map<string, {file: string, content: string, pageNumber: number}>>} - Its pages by their html file, none if it doesn't paginate
+   */
+  async findPageRoutes(source, content) {
+    const routes = new Map();
+    const context = await this.loadContext(source, content);
+
+    if (!context.paginate) {
+      return routes;
+    }
+    if (!context.permalink) {
+      throw new Error("paginate needs a permalink");
+    }
+
+    getPaginationPages(context).forEach((page) => {
+      const url = resolvePermalink(context.permalink, page);
+      // `:key` comes from the data, so `../` in it must not leave the root
+      const path = relative(this.root, resolve(this.root, getOutputFile(url)));
+      if (path === "" || path.startsWith("..") || isAbsolute(path)) {
+        throw new Error(
+          `page ${page.pageNumber} would be written outside of the root: ${url}`,
+        );
+      }
+      const outputFile = normalizePath(path);
+      if (extname(outputFile) !== ".html") {
+        throw new Error(
+          `permalink must end in "/" or ".html", got ${context.permalink}`,
+        );
+      }
+      if (routes.has(outputFile)) {
+        throw new Error(
+          `pages ${routes.get(outputFile).pageNumber} and ${page.pageNumber} both render ${outputFile}`,
+        );
+      }
+
+      routes.set(outputFile, {
+        file: source,
+        content,
+        pageNumber: page.pageNumber,
+      });
+    });
+
+    return routes;
+  }
+
+  /**
+   * @param {string} pathname - Requested url path, without the base
+   * @returns {Promise<{file: string, content: string, pageNumber: number}|null>} - Page to render
+   */
+  async match(pathname) {
+    const routes = await this.getRoutes();
+    const outputFiles = [getOutputFile(pathname)];
+    // `/blog/2` is also served by `blog/2/index.html`
+    if (!extname(pathname) && !pathname.endsWith("/")) {
+      outputFiles.push(getOutputFile(`${pathname}/`));
+    }
+
+    return (
+      outputFiles.map((outputFile) => routes.get(outputFile)).find(Boolean) ??
+      null
+    );
+  }
+
+  /**
+   * @returns {Promise<string[]>} - Module ids of the pages, to build them as html inputs
+   */
+  async getIds() {
+    const routes = await this.getRoutes();
+    return [...routes.keys()].map((outputFile) =>
+      normalizePath(resolve(this.root, outputFile)),
+    );
+  }
+
+  /**
+   * @param {string} id - Module id from `getIds()`
+   * @returns {Promise<{file: string, content: string, pageNumber: number}|null>} - Page to render
+   */
+  async getPageById(id) {
+    const routes = await this.getRoutes();
+    const outputFile = normalizePath(relative(this.root, id));
+    return routes.get(outputFile) ?? null;
+  }
+}
+
+export default Collections;
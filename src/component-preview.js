@@ -0,0 +1,203 @@
+import fs from "node:fs";
+import lodash from "lodash";
+import { mainNamespace } from "./twig-renderer.js";
+
+export const componentPreviewPath = "__twig/components";
+
+/**
+ * @param {string} value - Text to escape
+ * @returns {string} - Text safe to use in HTML and attributes
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const layout = (title, body) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 1rem 2rem; font: 14px/1.5 system-ui, sans-serif; color: #222; }
+  h1 { font-size: 1.25rem; }
+  h2 { font-size: 1rem; margin-top: 2rem; }
+  ul { padding-left: 1.25rem; }
+  code { font-size: 0.9em; }
+  .variant { margin: 1.5rem 0; }
+  .variant h3 { margin: 0 0 0.5rem; font-size: 0.9rem; }
+  .variant iframe { width: 100%; height: 320px; border: 1px solid #ccc; resize: vertical; overflow: auto; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * Dev server pages to preview every template of the Twig roots and
+ * namespaces in isolation, once per variant.
+ *
+ * Variants come from a sibling fixture, e.g. `card.twig` + `card.variants.json`,
+ * mapping variant names to the data to render with. Templates without one
+ * get a single `default` variant without data.
+ */
+class ComponentPreview {
+  /**
+   * @param {object} options
+   * @param {import('vite').ViteDevServer} options.server - Vite dev server
+   * @param {() => Promise<import('./twig-renderer.js').default>} options.getRenderer - Returns the started renderer, which holds the global data
+   */
+  constructor({ server, getRenderer }) {
+    this.server = server;
+    this.getRenderer = getRenderer;
+    this.basePath = `${server.config.base}${componentPreviewPath}`;
+  }
+
+  /**
+   * Connect middleware serving the index, component and variant pages
+   * @param {import('http').IncomingMessage} req - Request
+   * @param {import('http').ServerResponse} res - Response
+   * @param {Function} next - Next middleware
+   */
+  async handle(req, res, next) {
+    const url = new URL(req.url, "http://localhost");
+    if (
+      url.pathname !== this.basePath &&
+      !url.pathname.startsWith(`${this.basePath}/`)
+    ) {
+      next();
+      return;
+    }
+
+    try {
+      const route = url.pathname.slice(this.basePath.length);
+      const template = url.searchParams.get("template");
+      let html;
+
+      if (route === "" || route === "/") {
+        html = await this.renderIndex();
+      } else if (route === "/view" && template) {
+        html = await this.renderComponent(template);
+      } else if (route === "/render" && template) {
+        html = await this.renderVariant(
+          template,
+          url.searchParams.get("variant") ?? "default",
+        );
+        html = await this.server.transformIndexHtml(req.url, html);
+      } else {
+        next();
+        return;
+      }
+
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.end(html);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Every template in the roots and namespaces, as the renderer resolves them
+   * @returns {Promise<{namespace: string, templates: {name: string, file: string}[]}[]>} - Templates by namespace
+   */
+  async getComponents() {
+    const renderer = await this.getRenderer();
+    const templates = await renderer.getTemplates();
+
+    return Object.entries(lodash.groupBy(templates, "namespace")).map(
+      ([namespace, namespaceTemplates]) => ({
+        namespace,
+        templates: namespaceTemplates,
+      }),
+    );
+  }
+
+  /**
+   * @param {string} template - Template name, e.g. `@components/card.twig`
+   * @returns {Promise<{file: string, variants: object}>} - Template file and its variants
+   */
+  async getVariants(template) {
+    const component = (await this.getComponents())
+      .flatMap(({ templates }) => templates)
+      .find(({ name }) => name === template);
+
+    if (!component) {
+      throw new Error(`Unknown template: ${template}`);
+    }
+
+    const fixture = `${component.file.replace(/\.twig$/, "")}.variants.json`;
+    const variants = fs.existsSync(fixture)
+      ? JSON.parse(fs.readFileSync(fixture, "utf8"))
+      : { default: {} };
+
+    return { file: component.file, variants };
+  }
+
+  async renderIndex() {
+    const sections = (await this.getComponents())
+      .filter(({ templates }) => templates.length > 0)
+      .map(
+        ({ namespace, templates }) => `<h2>${
+          namespace === mainNamespace
+            ? "Templates"
+            : `<code>@${escapeHtml(namespace)}</code>`
+        }</h2>
+<ul>
+${templates
+  .map(
+    ({ name }) =>
+      `<li><a href="${this.basePath}/view?template=${encodeURIComponent(name)}">${escapeHtml(name)}</a></li>`,
+  )
+  .join("\n")}
+</ul>`,
+      );
+
+    return layout(
+      "Twig components",
+      `<h1>Twig components</h1>\n${sections.join("\n") || "<p>No templates found.</p>"}`,
+    );
+  }
+
+  async renderComponent(template) {
+    const { variants } = await this.getVariants(template);
+    const frames = Object.keys(variants).map(
+      (variant) => `<section class="variant">
+<h3>${escapeHtml(variant)}</h3>
+<iframe title="${escapeHtml(`${template} – ${variant}`)}" src="${this.basePath}/render?template=${encodeURIComponent(template)}&amp;variant=${encodeURIComponent(variant)}"></iframe>
+</section>`,
+    );
+
+    return layout(
+      template,
+      `<p><a href="${this.basePath}/">All components</a></p>
+<h1><code>${escapeHtml(template)}</code></h1>
+${frames.join("\n")}`,
+    );
+  }
+
+  async renderVariant(template, variant) {
+    const { variants } = await this.getVariants(template);
+    if (!(variant in variants)) {
+      throw new Error(`Unknown variant "${variant}" of ${template}`);
+    }
+
+    const renderer = await this.getRenderer();
+    const results = await renderer.render(template, variants[variant]);
+
+    if (!results.ok) {
+      return layout(
+        template,
+        `<pre><code>${escapeHtml(results.message)}</code></pre>`,
+      );
+    }
+
+    return results.html;
+  }
+}
+
+export default ComponentPreview;
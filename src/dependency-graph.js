@@ -0,0 +1,62 @@
+import { normalizePath } from "vite";
+
+/**
+ * Tracks which files each rendered page depended on, and the reverse, so a
+ * changed partial only affects the pages that actually use it.
+ */
+class DependencyGraph {
+  constructor() {
+    /** @type {Map<string, Set<string>>} page -> files it used */
+    this.dependencies = new Map();
+    /** @type {Map<string, Set<string>>} file -> pages using it */
+    this.dependents = new Map();
+  }
+
+  /**
+   * Replace the dependencies recorded for a page
+   * @param {string} page - Page source file
+   * @param {string[]} files - Files used while rendering the page
+   */
+  update(page, files) {
+    this.delete(page);
+
+    const dependencies = new Set(files.map((file) => normalizePath(file)));
+    dependencies.forEach((file) => {
+      if (!this.dependents.has(file)) {
+        this.dependents.set(file, new Set());
+      }
+      this.dependents.get(file).add(page);
+    });
+    this.dependencies.set(page, dependencies);
+  }
+
+  /**
+   * Forget a page and its dependencies
+   * @param {string} page - Page source file
+   */
+  delete(page) {
+    const dependencies = this.dependencies.get(page);
+    if (!dependencies) {
+      return;
+    }
+
+    dependencies.forEach((file) => {
+      const pages = this.dependents.get(file);
+      pages.delete(page);
+      if (pages.size === 0) {
+        this.dependents.delete(file);
+      }
+    });
+    this.dependencies.delete(page);
+  }
+
+  /**
+   * @param {string} file - Changed file
+   * @returns {string[]} - Pages that used the file in their last render
+   */
+  getDependents(file) {
+    return [...(this.dependents.get(normalizePath(file)) ?? [])];
+  }
+}
+
+export default DependencyGraph;
@@ -0,0 +1,62 @@
+/**
+ * Base class for errors thrown by TwigRenderer.
+ * `code` is stable and safe to switch on; the message is for humans.
+ */
+export class TwigRendererError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {string} [options.code] - Machine readable error code
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code = "ERR_TWIG_RENDERER", cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * A request got no response within `requestTimeout`
+ */
+export class RequestTimeoutError extends TwigRendererError {
+  constructor(message, options = {}) {
+    super(message, { code: "ERR_TWIG_REQUEST_TIMEOUT", ...options });
+  }
+}
+
+/**
+ * A PHP render server exited while starting or while requests were in flight
+ */
+export class ServerExitError extends TwigRendererError {
+  constructor(message, options = {}) {
+    super(message, { code: "ERR_TWIG_SERVER_EXIT", ...options });
+  }
+}
+
+/**
+ * A request still failed after all retries
+ */
+export class RequestFailedError extends TwigRendererError {
+  constructor(message, options = {}) {
+    super(message, { code: "ERR_TWIG_REQUEST_FAILED", ...options });
+  }
+}
+
+/**
+ * PHP or its Composer dependencies are missing or too old
+ */
+export class PhpEnvironmentError extends TwigRendererError {
+  constructor(message, options = {}) {
+    super(message, { code: "ERR_TWIG_PHP_ENVIRONMENT", ...options });
+  }
+}
+
+/**
+ * The options passed into TwigRenderer don't match config.schema.json
+ */
+export class InvalidConfigError extends TwigRendererError {
+  constructor(message, options = {}) {
+    super(message, { code: "ERR_TWIG_INVALID_CONFIG", ...options });
+  }
+}
@@ -0,0 +1,222 @@
+import fs from "node:fs";
+import { extname } from "node:path";
+import { pathToFileURL } from "node:url";
+import lodash from "lodash";
+
+/** Extensions tried for a page's data module, e.g. `index.twig.data.js` */
+export const dataModuleExtensions = [".data.js", ".data.mjs"];
+
+/**
+ * Sibling data file extensions, e.g. `index.twig.yml`, and their formats.
+ * Files are merged in this order, so later ones win.
+ */
+export const dataFileFormats = {
+  ".json": "json",
+  ".yaml": "yaml",
+  ".yml": "yaml",
+  ".neon": "neon",
+  ".php": "php",
+};
+
+/** Formats that also work as standalone pages with a `template` key */
+const dataPageFormats = ["json", "yaml", "neon"];
+
+/**
+ * @param {string} filename - Page source file, e.g. `/src/pages/about.yml`
+ * @returns {string|null} - Data format when the page is a data file itself
+ */
+export function getDataPageFormat(filename) {
+  const format = dataFileFormats[extname(filename)];
+  return dataPageFormats.includes(format) ? format : null;
+}
+
+/**
+ * @param {string} filename - Page source file, e.g. `/src/pages/index.twig`
+ * @returns {{format: string, file: string}[]} - Sibling data files, in merge order
+ */
+export function findDataFiles(filename) {
+  return Object.entries(dataFileFormats)
+    .map(([extension, format]) => ({ format, file: `${filename}${extension}` }))
+    .filter(({ file }) => fs.existsSync(file));
+}
+
+/**
+ * Parse data files or sources. JSON is read here, the other formats need the
+ * PHP side's parsers and go to the renderer in a single request.
+ * @param {import('./twig-renderer.js').default} renderer - Twig renderer
+ * @param {{format: string, file: string, content?: string}[]} sources - Files, or their contents
+ * @returns {Promise<object[]>} - Parsed data, in the order of `sources`
+ */
+export async function parseDataSources(renderer, sources) {
+  const data = new Array(sources.length);
+  const phpSources = [];
+
+  sources.forEach((source, index) => {
+    if (source.format !== "json") {
+      phpSources.push({ index, source });
+      return;
+    }
+
+    const content = source.content ?? fs.readFileSync(source.file, "utf8");
+    try {
+      data[index] = JSON.parse(content);
+    } catch (error) {
+      throw new SyntaxError(`${source.file}: ${error.message}`, {
+        cause: error,
+      });
+    }
+  });
+
+  if (phpSources.length > 0) {
+    const results = await renderer.parseData(
+      phpSources.map(({ source }) => source),
+    );
+    if (!results.ok) {
+      throw new Error(results.message);
+    }
+
+    phpSources.forEach(({ index }, resultIndex) => {
+      data[index] = results.data[resultIndex] ?? {};
+    });
+  }
+
+  return data;
+}
+
+/**
+ * @param {string} filename - Page source file, e.g. `/src/pages/index.twig`
+ * @returns {string|null} - The page's data module, if there is one
+ */
+export function findDataModule(filename) {
+  return (
+    dataModuleExtensions
+      .map((extension) => `${filename}${extension}`)
+      .find((file) => fs.existsSync(file)) ?? null
+  );
+}
+
+/**
+ * Files a module loaded by the dev server imports, itself included, so a
+ * changed fixture reloads the pages that use it.
+ * @param {import('vite').ViteDevServer} server - Vite dev server
+ * @param {string} file - Module file
+ * @returns {string[]} - Files
+ */
+function getModuleFiles(server, file) {
+  const { moduleGraph } = server.environments.ssr;
+  const files = new Set([file]);
+  const queue = [...(moduleGraph.getModulesByFile(file) ?? [])];
+  const seen = new Set(queue);
+
+  while (queue.length > 0) {
+    const mod = queue.shift();
+    if (mod.file) {
+      files.add(mod.file);
+    }
+
+    mod.importedModules.forEach((imported) => {
+      if (!seen.has(imported)) {
+        seen.add(imported);
+        queue.push(imported);
+      }
+    });
+  }
+
+  return [...files].filter(
+    (moduleFile) => !moduleFile.includes("/node_modules/"),
+  );
+}
+
+/**
+ * Load a data module. The dev server keeps it in its module graph, so edits
+ * to it or anything it imports are picked up on the next render.
+ * @param {string} file - Module file
+ * @param {import('vite').ViteDevServer} [server] - Vite dev server
+ * @returns {Promise<{exports: object, dependencies: string[]}>} - Module and the files it was built from
+ */
+async function loadDataModule(file, server) {
+  if (server) {
+    return {
+      exports: await server.ssrLoadModule(file),
+      dependencies: getModuleFiles(server, file),
+    };
+  }
+
+  // the query makes Node import a changed module again instead of its cached copy
+  const { mtimeMs } = fs.statSync(file);
+  return {
+    exports: await import(`${pathToFileURL(file).href}?t=${mtimeMs}`),
+    dependencies: [file],
+  };
+}
+
+/**
+ * Call a data provider; an object is used as is, a function is called with
+ * the template and the data collected so far.
+ * @param {object|Function} provider - Data or `(templatePath, context) => object`
+ * @param {string} templatePath - Template being rendered, relative to the root
+ * @param {object} context - Data collected so far
+ * @returns {Promise<object>} - Data to merge into the context
+ */
+async function callProvider(provider, templatePath, context) {
+  const data =
+    typeof provider === "function"
+      ? await provider(templatePath, context)
+      : provider;
+
+  if (data !== undefined && (typeof data !== "object" || data === null)) {
+    throw new TypeError(
+      `Twig data providers must return an object, got ${data === null ? "null" : typeof data} for ${templatePath}`,
+    );
+  }
+
+  return data ?? {};
+}
+
+/**
+ * Run the `data` functions from the plugin options, then the page's own data
+ * module, merging what they return into `context`. Later providers win.
+ * @param {object} options
+ * @param {Function[]} options.providers - `data` functions from the plugin options
+ * @param {string} options.filename - Page source file
+ * @param {string} options.templatePath - Template being rendered, relative to the root
+ * @param {object} options.context - The page's own data collected so far, updated in place
+ * @param {object} [options.globalData] - Data every page renders with, which the providers see under the page's data
+ * @param {import('vite').ViteDevServer} [options.server] - Vite dev server
+ * @returns {Promise<string[]>} - Data module files the page now depends on
+ */
+export async function loadPageData({
+  providers,
+  filename,
+  templatePath,
+  context,
+  globalData = {},
+  server,
+}) {
+  const dependencies = [];
+  // what the page renders with, as `array_replace_recursive()` merges it in PHP
+  const getFullContext = () => lodash.merge({}, globalData, context);
+
+  for (const provider of providers) {
+    lodash.merge(
+      context,
+      await callProvider(provider, templatePath, getFullContext()),
+    );
+  }
+
+  const dataModule = findDataModule(filename);
+  if (dataModule) {
+    const { exports, dependencies: moduleFiles } = await loadDataModule(
+      dataModule,
+      server,
+    );
+    dependencies.push(...moduleFiles);
+
+    lodash.merge(
+      context,
+      await callProvider(exports.default ?? {}, templatePath, getFullContext()),
+    );
+  }
+
+  return dependencies;
+}
@@ -0,0 +1,386 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import qs from "querystring";
+import readline from "node:readline";
+import fetch from "node-fetch";
+import sleep from "sleep-promise";
+import { execa } from "execa";
+import {
+  RequestTimeoutError,
+  ServerExitError,
+  TwigRendererError,
+} from "./errors.js";
+import { withTimeout } from "./utils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const serverStates = Object.freeze({
+  STOPPED: "STOPPED",
+  STARTING: "STARTING",
+  READY: "READY",
+  STOPPING: "STOPPING",
+});
+
+/**
+ * A single PHP render server process, reached over HTTP or stdio.
+ * Owned by a `TwigRenderer`, which balances requests across its workers.
+ */
+class PhpWorker {
+  /**
+   * @param {import('./twig-renderer.js').default} renderer - Owning renderer
+   * @param {number} id - Worker number, used in logs and stats
+   */
+  constructor(renderer, id) {
+    this.renderer = renderer;
+    this.config = renderer.config;
+    this.id = id;
+    this.state = serverStates.STOPPED;
+    this.phpServer = null;
+    this.respawning = false;
+    // requests sent and not answered yet, see `drain()`
+    this.sending = new Set();
+    this.stats = {
+      requests: 0,
+      failures: 0,
+      restarts: 0,
+      inProgress: 0,
+      renderTime: 0,
+    };
+  }
+
+  get label() {
+    return this.config.transport === "stdio"
+      ? `PHP Server #${this.id} (stdio)`
+      : `PHP Server #${this.id} (port ${this.phpServerPort})`;
+  }
+
+  async start() {
+    this.state = serverStates.STARTING;
+
+    const params = this.renderer.getPhpParams();
+
+    if (this.config.transport === "stdio") {
+      // config is handed over inline once the process is up
+      params.push(path.join(__dirname, "php", "stdio-server.php"));
+    } else {
+      this.phpServerPort = await this.renderer.getOpenPort();
+      this.phpServerUrl = `http://127.0.0.1:${this.phpServerPort}`;
+
+      params.push(
+        path.join(__dirname, "php", "server.php"),
+        this.phpServerPort,
+      );
+    }
+
+    if (this.config.verbose) {
+      this.renderer.logger.info("Firing PHP cli…");
+    }
+    this.phpServer = execa(this.config.phpBinary, params, {
+      env: this.config.env,
+      cleanup: true,
+      detached: false,
+      // the HTTP server reads its config from stdin, the stdio one gets it
+      // inline once it is up; nothing is written next to the package
+      ...(this.config.transport === "stdio"
+        ? {}
+        : { input: JSON.stringify(this.renderer.getSharedConfig()) }),
+      // stdout carries the protocol, so it is read as it comes instead
+      buffer: this.config.transport !== "stdio",
+      // nothing would drain it otherwise, and PHP blocks once the pipe is full
+      stderr: this.config.transport === "stdio" ? "inherit" : "pipe",
+    });
+    // exits are handled through the events below, not the promise
+    this.phpServer.catch(() => {});
+
+    this.phpServer.on("close", (code, signal) => {
+      if (this.config.verbose) {
+        this.renderer.logger.info(
+          `${this.label} closed (code: ${code}, signal: ${signal})`,
+        );
+      }
+    });
+
+    this.phpServer.on("exit", (code, signal) => {
+      if (this.config.verbose) {
+        this.renderer.logger.info(
+          `${this.label} exited (code: ${code}, signal: ${signal})`,
+        );
+      }
+
+      // stop() removes this listener, so getting here means PHP went away on its own
+      this.state = serverStates.STOPPED;
+      this.rejectPendingStdioRequests(
+        new ServerExitError(
+          `${this.label} exited (code: ${code}, signal: ${signal})`,
+        ),
+      );
+      this.renderer.handleWorkerExit(this, code, signal);
+    });
+
+    this.phpServer.on("error", (error) => {
+      this.renderer.logger.error(`${this.label} error: ${error.message}`);
+    });
+
+    if (this.config.verbose) {
+      this.renderer.logger.info(
+        `${this.label} starting (PID: ${this.phpServer.pid})`,
+      );
+    }
+
+    if (this.config.transport === "stdio") {
+      await this.connectStdio();
+    } else {
+      await this.checkServerWhileStarting();
+    }
+
+    if (this.state !== serverStates.READY) {
+      throw new ServerExitError(`${this.label} exited before it was ready.`);
+    }
+
+    if (this.renderer.globals) {
+      // before any render can be sent to this server
+      this.state = serverStates.STARTING;
+      await this.sendGlobals();
+      this.state = serverStates.READY;
+    }
+
+    if (this.config.verbose) {
+      this.renderer.logger.info(`${this.label} ready`);
+    }
+    return this.state;
+  }
+
+  /**
+   * Send the global data of the renderer, see `TwigRenderer.setGlobals()`
+   * @throws {TwigRendererError} - When the server didn't take them
+   */
+  async sendGlobals() {
+    const results = await withTimeout(
+      this.send("setGlobals", { globals: this.renderer.globals }),
+      this.config.requestTimeout,
+      () =>
+        new RequestTimeoutError(
+          `${this.label} got no response to "setGlobals" within ${this.config.requestTimeout}ms.`,
+        ),
+    );
+
+    if (!results?.ok) {
+      throw new TwigRendererError(
+        `${this.label} failed to set the globals. ${results?.message ?? ""}`.trim(),
+      );
+    }
+  }
+
+  async stop() {
+    if (
+      this.state === serverStates.STOPPED ||
+      this.state === serverStates.STOPPING
+    ) {
+      return;
+    }
+
+    if (this.config.verbose) {
+      this.renderer.logger.info(`Stopping ${this.label}`);
+    }
+
+    this.state = serverStates.STOPPING;
+
+    // Kill the PHP process
+    if (this.phpServer) {
+      this.phpServer.kill();
+      this.phpServer.removeAllListeners();
+    }
+    this.rejectPendingStdioRequests(
+      new ServerExitError(`${this.label} stopped`),
+    );
+
+    this.state = serverStates.STOPPED;
+  }
+
+  /**
+   * Is PHP sever ready to render?
+   * @returns {boolean} - is ready
+   */
+  async checkIfServerIsReady() {
+    try {
+      const res = await fetch(this.phpServerUrl);
+      const { ok } = res;
+      if (ok) {
+        this.state = serverStates.READY;
+      }
+      return ok;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async checkServerWhileStarting() {
+    while (this.state === serverStates.STARTING) {
+      await this.checkIfServerIsReady();
+      await sleep(100);
+    }
+    return this.state;
+  }
+
+  /**
+   * Hand the config to a stdio PHP server and wait for its handshake.
+   * Both directions use newline-delimited JSON frames: `{ type: "init", config }`
+   * is answered with `{ type: "ready" }`, and every `{ id, type, body }`
+   * request with `{ id, results }`.
+   */
+  async connectStdio() {
+    this.stdioRequestId = 0;
+    this.pendingStdioRequests = new Map();
+
+    const ready = new Promise((resolve, reject) => {
+      this.phpServer.once("exit", () => {
+        reject(
+          new ServerExitError(`${this.label} exited before it was ready.`),
+        );
+      });
+
+      readline
+        .createInterface({ input: this.phpServer.stdout })
+        .on("line", (line) => {
+          let frame;
+          try {
+            frame = JSON.parse(line);
+          } catch (e) {
+            this.renderer.logger.error(
+              `Unexpected output from ${this.label}: ${line}`,
+            );
+            return;
+          }
+
+          if (frame.type === "ready") {
+            this.state = serverStates.READY;
+            resolve();
+            return;
+          }
+          // the init frame failed, e.g. an extension class is missing
+          if (frame.id === null) {
+            reject(
+              new TwigRendererError(
+                `${this.label} failed to start: ${frame.results.message}`,
+              ),
+            );
+            return;
+          }
+
+          const pending = this.pendingStdioRequests.get(frame.id);
+          if (pending) {
+            this.pendingStdioRequests.delete(frame.id);
+            pending.resolve(frame.results);
+          }
+        });
+    });
+
+    this.writeStdioFrame({
+      type: "init",
+      config: this.renderer.getSharedConfig(),
+    });
+    await ready;
+  }
+
+  writeStdioFrame(frame) {
+    this.phpServer.stdin.write(`${JSON.stringify(frame)}\n`);
+  }
+
+  rejectPendingStdioRequests(error) {
+    if (!this.pendingStdioRequests) {
+      return;
+    }
+
+    this.pendingStdioRequests.forEach(({ reject }) => reject(error));
+    this.pendingStdioRequests.clear();
+  }
+
+  /**
+   * Send a request to this worker's PHP server
+   * @param {string} type - Request type, e.g. `renderFile`
+   * @param {object} body - Request body
+   * @returns {Promise<object>} - Results from PHP
+   */
+  async send(type, body) {
+    const startTime = Date.now();
+    this.stats.inProgress += 1;
+    const sending =
+      this.config.transport === "stdio"
+        ? this.sendStdio(type, body)
+        : this.sendHttp(type, body);
+    this.sending.add(sending);
+
+    try {
+      const results = await sending;
+      this.stats.requests += 1;
+      return results;
+    } catch (e) {
+      this.stats.failures += 1;
+      throw e;
+    } finally {
+      this.sending.delete(sending);
+      this.stats.inProgress -= 1;
+      this.stats.renderTime += Date.now() - startTime;
+    }
+  }
+
+  /**
+   * @returns {Promise<void>} - Settles once the requests already sent are answered, or failed
+   */
+  async drain() {
+    await Promise.allSettled([...this.sending]);
+  }
+
+  async sendHttp(type, body) {
+    const requestUrl = `${this.phpServerUrl}?${qs.stringify({
+      type,
+    })}`;
+
+    const res = await fetch(requestUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+
+    const { headers, ok } = res;
+    const contentType = headers.get("Content-Type");
+    const warning = headers.get("Warning");
+
+    if (contentType === "application/json") {
+      return res.json();
+    }
+
+    return {
+      ok,
+      message: warning,
+      html: await res.text(),
+    };
+  }
+
+  sendStdio(type, body) {
+    this.stdioRequestId += 1;
+    const id = this.stdioRequestId;
+
+    return new Promise((resolve, reject) => {
+      this.pendingStdioRequests.set(id, { resolve, reject });
+      this.writeStdioFrame({ id, type, body });
+    });
+  }
+
+  /**
+   * @returns {object} - Stats for this worker
+   */
+  getStats() {
+    return {
+      id: this.id,
+      pid: this.phpServer?.pid ?? null,
+      state: this.state,
+      ...this.stats,
+    };
+  }
+}
+
+export default PhpWorker;
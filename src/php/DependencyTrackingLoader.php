@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Buio;
+
+use Twig\Loader\LoaderInterface;
+use Twig\Source;
+
+/**
+ * Decorates a loader to remember every template requested from it, so a
+ * render can report which files it depended on (includes, extends, embeds,
+ * imports and namespaced templates alike).
+ */
+final class DependencyTrackingLoader implements LoaderInterface
+{
+    private array $requestedTemplates = [];
+
+    public function __construct(private readonly LoaderInterface $loader) {}
+
+    public function getSourceContext(string $name): Source
+    {
+        $this->requestedTemplates[$name] = true;
+
+        return $this->loader->getSourceContext($name);
+    }
+
+    // Called for every template load, even when the compiled template is cached
+    public function getCacheKey(string $name): string
+    {
+        $this->requestedTemplates[$name] = true;
+
+        return $this->loader->getCacheKey($name);
+    }
+
+    public function isFresh(string $name, int $time): bool
+    {
+        return $this->loader->isFresh($name, $time);
+    }
+
+    public function exists(string $name): bool
+    {
+        return $this->loader->exists($name);
+    }
+
+    public function reset(): void
+    {
+        $this->requestedTemplates = [];
+    }
+
+    /**
+     * @return string[] Paths of the files behind the templates requested since the last reset
+     */
+    public function getDependencies(): array
+    {
+        $paths = [];
+
+        foreach (array_keys($this->requestedTemplates) as $name) {
+            if (!$this->loader->exists((string) $name)) {
+                continue;
+            }
+
+            $path = $this->loader->getSourceContext((string) $name)->getPath();
+            // templates from the ArrayLoader have no path
+            if ($path !== "") {
+                $paths[] = $path;
+            }
+        }
+
+        return array_values(array_unique($paths));
+    }
+}
@@ -0,0 +1,34 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Buio;
+
+use Twig\Compiler;
+use Twig\Node\Expression\Variable\ContextVariable;
+
+/**
+ * A variable lookup that tells the UndefinedVariablesExtension when the
+ * variable is missing from the context, and evaluates to null then.
+ */
+final class ReportedContextVariable extends ContextVariable
+{
+    public function compile(Compiler $compiler): void
+    {
+        $name = $this->getAttribute("name");
+
+        $compiler
+            ->addDebugInfo($this)
+            ->raw("(array_key_exists(")
+            ->string($name)
+            ->raw(', $context) ? $context[')
+            ->string($name)
+            ->raw('] : $this->env->getExtension(')
+            ->string(UndefinedVariablesExtension::class)
+            ->raw(')->report($this->getSourceContext(), ')
+            ->repr($this->getTemplateLine())
+            ->raw(", ")
+            ->string($name)
+            ->raw("))");
+    }
+}
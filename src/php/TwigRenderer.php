@@ -4,19 +4,46 @@ declare(strict_types=1);
 
 namespace Buio;
 
+use Nette\Neon\Neon;
+use Symfony\Component\Yaml\Yaml;
 use Twig\Environment;
+use Twig\Error\Error as TwigError;
+use Twig\Extension\ExtensionInterface;
+use Twig\Extension\ProfilerExtension;
 use Twig\Loader\ArrayLoader;
 use Twig\Loader\ChainLoader;
 use Twig\Loader\FilesystemLoader;
+use Twig\Loader\LoaderInterface;
+use Twig\Profiler\Profile;
+use Twig\TwigFilter;
+use Twig\TwigFunction;
+use Twig\TwigTest;
 
 final class TwigRenderer
 {
-    private readonly Environment $twigEnvironment;
+    // Name string templates are registered under in the ArrayLoader
+    private const STRING_TEMPLATE_NAME = "StringRenderer";
+
+    // Created again when the global data changes, see setGlobals()
+    private Environment $twigEnvironment;
 
     private readonly FilesystemLoader $filesystemLoader;
 
+    private readonly ArrayLoader $arrayLoader;
+
     private readonly ChainLoader $chainLoader;
 
+    private readonly DependencyTrackingLoader $dependencyTrackingLoader;
+
+    // Only set when `strictVariables` is "report"
+    private readonly ?UndefinedVariablesExtension $undefinedVariablesExtension;
+
+    // Only set when `profile` is on; reset before every render
+    private readonly ?Profile $profile;
+
+    // Data every template renders with, see setGlobals()
+    private array $globalData = [];
+
     public function __construct(public array $config)
     {
         $rootPath = getcwd();
@@ -24,6 +51,11 @@ final class TwigRenderer
             $rootPath = $this->config["relativeFrom"];
         }
 
+        // project classes, e.g. for `extensions` and `alterTwigEnv`
+        if (isset($this->config["composerAutoload"])) {
+            require_once $this->config["composerAutoload"];
+        }
+
         $this->filesystemLoader = new FilesystemLoader(
             $this->config["src"]["roots"],
             $rootPath,
@@ -37,24 +69,114 @@ final class TwigRenderer
             }
         }
 
-        $this->chainLoader = new ChainLoader([$this->filesystemLoader]);
+        $this->arrayLoader = new ArrayLoader();
+        $this->chainLoader = new ChainLoader([
+            $this->arrayLoader,
+            $this->filesystemLoader,
+        ]);
+        $this->dependencyTrackingLoader = new DependencyTrackingLoader(
+            $this->chainLoader,
+        );
+
+        $this->undefinedVariablesExtension =
+            $this->config["strictVariables"] === "report"
+                ? new UndefinedVariablesExtension()
+                : null;
+
+        $this->profile = $this->config["profile"] ? new Profile() : null;
 
-        $this->twigEnvironment = $this->createTwigEnv($this->chainLoader);
+        $this->twigEnvironment = $this->createTwigEnv(
+            $this->dependencyTrackingLoader,
+        );
     }
 
-    public function renderString($templateString, array $data = [])
+    /**
+     * Runs a request coming in from one of the render server transports.
+     * @param string $type One of: meta, renderFile, renderString, renderBatch, setGlobals, parseData, lint
+     */
+    public function handleRequest(string $type, array $body): array
     {
-        $templateName = "StringRenderer"; // @todo ensure this simple name is ok; should be!
-        $arrayLoader = new ArrayLoader([
-            $templateName => $templateString,
-        ]);
+        return match ($type) {
+            "meta" => [
+                "ok" => true,
+                "info" => $this->getInfo(),
+            ],
+            "renderFile" => $this->render($body["template"], $body["data"]),
+            "renderString" => $this->renderString(
+                $body["template"],
+                $body["data"],
+            ),
+            "renderBatch" => $this->renderBatch(
+                $body["jobs"],
+                $body["data"] ?? [],
+            ),
+            "setGlobals" => $this->setGlobals($body["globals"]),
+            "parseData" => $this->parseData($body["sources"]),
+            "lint" => $this->lint($body["templates"]),
+            default => [
+                "ok" => false,
+                "message" => "Unknown request type: " . $type,
+            ],
+        };
+    }
 
-        $chainLoader = new ChainLoader([$arrayLoader, $this->filesystemLoader]);
+    /**
+     * Sets the data every template renders with as Twig globals, so it is sent
+     * once instead of with every render. Globals can't be added to an
+     * Environment that already rendered, so it is created again.
+     */
+    public function setGlobals(array $globals): array
+    {
+        $this->globalData = $globals;
+        $this->twigEnvironment = $this->createTwigEnv(
+            $this->dependencyTrackingLoader,
+        );
 
-        $twig = $this->createTwigEnv($chainLoader);
+        return [
+            "ok" => true,
+            "message" => "",
+        ];
+    }
+
+    /**
+     * Twig lets render data replace globals of the same name; here it is
+     * merged into them instead, the way the data of a page is merged over the
+     * global data.
+     */
+    private function mergeGlobalData(array $data): array
+    {
+        foreach ($data as $name => $value) {
+            if (
+                is_array($value) &&
+                is_array($this->globalData[$name] ?? null)
+            ) {
+                $data[$name] = array_replace_recursive(
+                    $this->globalData[$name],
+                    $value,
+                );
+            }
+        }
+
+        return $data;
+    }
+
+    public function renderString($templateString, array $data = [])
+    {
+        // The ArrayLoader's cache key includes the template source, so each
+        // distinct string still compiles to its own template class
+        $this->arrayLoader->setTemplate(
+            self::STRING_TEMPLATE_NAME,
+            $templateString,
+        );
+        $this->dependencyTrackingLoader->reset();
+        $this->undefinedVariablesExtension?->reset();
+        $this->profile?->reset();
 
         try {
-            $html = $twig->render($templateName, $data);
+            $html = $this->twigEnvironment->render(
+                self::STRING_TEMPLATE_NAME,
+                $this->mergeGlobalData($data),
+            );
             $response = [
                 "ok" => true,
                 "html" => trim((string) $html),
@@ -68,16 +190,69 @@ final class TwigRenderer
                 "ok" => false,
                 "message" => $message,
                 "html" => "<pre><code>" . $message . "</code></pre>",
+                "error" => $this->formatError($exception),
             ];
         }
 
+        $response[
+            "dependencies"
+        ] = $this->dependencyTrackingLoader->getDependencies();
+
+        if ($this->undefinedVariablesExtension !== null) {
+            $response[
+                "undefinedVariables"
+            ] = $this->undefinedVariablesExtension->getUndefinedVariables();
+        }
+
+        if ($this->profile !== null) {
+            $response["profile"] = $this->formatProfile($this->profile);
+        }
+
         return $response;
     }
 
+    /**
+     * Renders many templates in one request. Each job has a `template` name
+     * or a `string` template, and `data` merged over the data they share.
+     * A failed job fails on its own, the others still render.
+     * @param array<array{template?: string, string?: string, data?: array}> $jobs
+     * @param array $data Data every job is rendered with
+     */
+    public function renderBatch(array $jobs, array $data = []): array
+    {
+        $results = array_map(function (array $job) use ($data): array {
+            $jobData = array_replace_recursive($data, $job["data"] ?? []);
+
+            return isset($job["string"])
+                ? $this->renderString($job["string"], $jobData)
+                : $this->render($job["template"], $jobData);
+        }, $jobs);
+
+        $failed = count(
+            array_filter($results, fn(array $result): bool => !$result["ok"]),
+        );
+
+        return [
+            "ok" => $failed === 0,
+            "results" => $results,
+            "message" =>
+                $failed === 0
+                    ? ""
+                    : $failed . " of " . count($jobs) . " render(s) failed",
+        ];
+    }
+
     public function render(string $templatePath, array $data = [])
     {
+        $this->dependencyTrackingLoader->reset();
+        $this->undefinedVariablesExtension?->reset();
+        $this->profile?->reset();
+
         try {
-            $html = $this->twigEnvironment->render($templatePath, $data);
+            $html = $this->twigEnvironment->render(
+                $templatePath,
+                $this->mergeGlobalData($data),
+            );
             $response = [
                 "ok" => true,
                 "html" => trim((string) $html),
@@ -93,9 +268,24 @@ final class TwigRenderer
                 "ok" => false,
                 "message" => $message,
                 "html" => "<pre><code>" . $message . "</code></pre>",
+                "error" => $this->formatError($exception),
             ];
         }
 
+        $response[
+            "dependencies"
+        ] = $this->dependencyTrackingLoader->getDependencies();
+
+        if ($this->undefinedVariablesExtension !== null) {
+            $response[
+                "undefinedVariables"
+            ] = $this->undefinedVariablesExtension->getUndefinedVariables();
+        }
+
+        if ($this->profile !== null) {
+            $response["profile"] = $this->formatProfile($this->profile);
+        }
+
         if ($this->config["hasExtraInfoInResponses"]) {
             $response["info"] = $this->getInfo();
         }
@@ -103,6 +293,101 @@ final class TwigRenderer
         return $response;
     }
 
+    /**
+     * Checks templates compile without rendering them: syntax errors as well
+     * as unknown tags, filters, functions and tests.
+     * @param string[] $templates Template names, e.g. "@components/card.twig"
+     */
+    public function lint(array $templates): array
+    {
+        $errors = [];
+
+        foreach ($templates as $template) {
+            try {
+                $source = $this->twigEnvironment
+                    ->getLoader()
+                    ->getSourceContext($template);
+                $this->twigEnvironment->parse(
+                    $this->twigEnvironment->tokenize($source),
+                );
+            } catch (TwigError $exception) {
+                $errors[] =
+                    ["template" => $template] + $this->formatError($exception);
+            }
+        }
+
+        return [
+            "ok" => $errors === [],
+            "errors" => $errors,
+            "message" =>
+                $errors === []
+                    ? ""
+                    : count($errors) .
+                        " of " .
+                        count($templates) .
+                        " template(s) failed to compile",
+        ];
+    }
+
+    /**
+     * Parses page data in the formats Node has no parser for.
+     * @param array<array{format: string, file: string, content?: string}> $sources
+     */
+    public function parseData(array $sources): array
+    {
+        $data = [];
+
+        foreach ($sources as $source) {
+            try {
+                $data[] = $this->parseDataSource($source);
+            } catch (\Throwable $exception) {
+                return [
+                    "ok" => false,
+                    "message" =>
+                        'Error trying to parse "' .
+                        $source["file"] .
+                        '". ' .
+                        $exception->getMessage(),
+                ];
+            }
+        }
+
+        return [
+            "ok" => true,
+            "data" => $data,
+            "message" => "",
+        ];
+    }
+
+    private function parseDataSource(array $source): array
+    {
+        $file = $source["file"];
+        $content = $source["content"] ?? null;
+
+        $data = match ($source["format"]) {
+            "yaml" => Yaml::parse($content ?? file_get_contents($file)),
+            "neon" => Neon::decode($content ?? file_get_contents($file)),
+            // required from disk on every call, so edits show up without a restart
+            "php" => (static fn(string $path): mixed => require $path)($file),
+            default => throw new \InvalidArgumentException(
+                "Unknown data format: " . $source["format"],
+            ),
+        };
+
+        if ($data === null) {
+            return [];
+        }
+
+        if (!is_array($data)) {
+            throw new \UnexpectedValueException(
+                "Data files must contain a map of values, got " .
+                    get_debug_type($data),
+            );
+        }
+
+        return $data;
+    }
+
     public function getTwig(): Environment
     {
         return $this->twigEnvironment;
@@ -133,14 +418,159 @@ final class TwigRenderer
         return $info;
     }
 
-    private function createTwigEnv(ChainLoader $chainLoader): Environment
+    /**
+     * Structured details of a failed render. For Twig errors these point at
+     * the template that actually failed, which may be a deeply included one.
+     */
+    private function formatError(\Exception $exception): array
     {
-        $twigEnvironment = new Environment($chainLoader, [
+        $error = [
+            "message" => $exception->getMessage(),
+            "name" => null,
+            "file" => null,
+            "line" => null,
+            "snippet" => [],
+            "previous" => $exception->getPrevious()?->getMessage(),
+        ];
+
+        if (!$exception instanceof TwigError) {
+            return $error;
+        }
+
+        $error["message"] = $exception->getRawMessage();
+        $line = $exception->getTemplateLine();
+        if ($line > 0) {
+            $error["line"] = $line;
+        }
+
+        $source = $exception->getSourceContext();
+        if ($source !== null) {
+            $error["name"] = $source->getName();
+            $error["file"] = $source->getPath() ?: null;
+            if ($line > 0) {
+                $error["snippet"] = $this->getSnippet(
+                    $source->getCode(),
+                    $line,
+                );
+            }
+        }
+
+        return $error;
+    }
+
+    /**
+     * The profile tree of a render, with times in milliseconds. Durations
+     * include the templates, blocks and macros nested in a profile.
+     */
+    private function formatProfile(Profile $profile): array
+    {
+        return [
+            "type" => $profile->getType(),
+            "template" => $profile->getTemplate(),
+            "name" => $profile->getName(),
+            "start" => $profile->getStartTime() * 1000,
+            "duration" => $profile->getDuration() * 1000,
+            "memory" => $profile->getMemoryUsage(),
+            "profiles" => array_map(
+                fn(Profile $child): array => $this->formatProfile($child),
+                $profile->getProfiles(),
+            ),
+        ];
+    }
+
+    /**
+     * @return array<array{line: int, code: string}> Lines surrounding $line
+     */
+    private function getSnippet(
+        string $code,
+        int $line,
+        int $padding = 3,
+    ): array {
+        $lines = explode("\n", $code);
+        $start = max(1, $line - $padding);
+        $end = min(count($lines), $line + $padding);
+
+        $snippet = [];
+        for ($number = $start; $number <= $end; ++$number) {
+            $snippet[] = [
+                "line" => $number,
+                "code" => rtrim($lines[$number - 1], "\r"),
+            ];
+        }
+
+        return $snippet;
+    }
+
+    /**
+     * Compiled templates are kept in a sub directory keyed by the Twig version,
+     * the `alterTwigEnv` files, the extensions and the JS callbacks, as
+     * changing those can change how templates compile.
+     */
+    private function getCachePath(): string|false
+    {
+        if ($this->config["cache"] === false) {
+            return false;
+        }
+
+        $signature = [Environment::VERSION];
+        foreach ($this->config["alterTwigEnv"] ?? [] as $alter) {
+            $signature[] =
+                $alter["file"] . ":" . (string) @filemtime($alter["file"]);
+        }
+        $signature[] = implode(",", $this->config["extensions"]);
+        if (isset($this->config["jsCallbacks"])) {
+            // not the url, it changes with every run
+            $callbacks = $this->config["jsCallbacks"];
+            $signature[] = json_encode([
+                $callbacks["filters"],
+                $callbacks["functions"],
+                $callbacks["tests"],
+                $callbacks["vite"] ?? false,
+            ]);
+        }
+
+        return $this->config["cache"] .
+            DIRECTORY_SEPARATOR .
+            hash("xxh128", implode("|", $signature));
+    }
+
+    private function createTwigEnv(LoaderInterface $loader): Environment
+    {
+        $cachePath = $this->getCachePath();
+        $twigEnvironment = new Environment($loader, [
+            ...$this->config["environmentOptions"],
             "debug" => $this->config["debug"],
             "autoescape" => $this->config["autoescape"],
-            "cache" => false, // @todo Implement Twig caching
+            "cache" => $cachePath,
+            // the cache outlives this server, a template may have changed since
+            "auto_reload" =>
+                $cachePath !== false || $this->config["autoReload"],
+            // "report" renders like non-strict mode, see UndefinedVariablesExtension
+            "strict_variables" => $this->config["strictVariables"] === true,
         ]);
 
+        if ($this->undefinedVariablesExtension !== null) {
+            $twigEnvironment->addExtension($this->undefinedVariablesExtension);
+        }
+
+        if ($this->profile !== null) {
+            $twigEnvironment->addExtension(
+                new ProfilerExtension($this->profile),
+            );
+        }
+
+        foreach ($this->config["extensions"] as $class) {
+            $twigEnvironment->addExtension($this->createExtension($class));
+        }
+
+        foreach ($this->config["globals"] as $name => $value) {
+            $twigEnvironment->addGlobal($name, $value);
+        }
+
+        foreach ($this->globalData as $name => $value) {
+            $twigEnvironment->addGlobal($name, $value);
+        }
+
         if (isset($this->config["alterTwigEnv"])) {
             foreach ($this->config["alterTwigEnv"] as $alter) {
                 $file = $alter["file"];
@@ -152,6 +582,162 @@ final class TwigRenderer
             }
         }
 
+        if (isset($this->config["jsCallbacks"])) {
+            $this->addJsCallbacks($twigEnvironment);
+        }
+
         return $twigEnvironment;
     }
+
+    /**
+     * Extension classes from the `extensions` config, loaded through the
+     * Composer autoloaders.
+     */
+    private function createExtension(string $class): ExtensionInterface
+    {
+        if (!class_exists($class)) {
+            throw new \InvalidArgumentException(
+                'Twig extension class "' .
+                    $class .
+                    '" not found. Is it autoloaded, e.g. with the `composerAutoload` option?',
+            );
+        }
+
+        if (!is_subclass_of($class, ExtensionInterface::class)) {
+            throw new \InvalidArgumentException(
+                'Twig extension class "' .
+                    $class .
+                    '" must implement ' .
+                    ExtensionInterface::class,
+            );
+        }
+
+        return new $class();
+    }
+
+    /**
+     * Registers filters, functions and tests implemented in JS; each call is
+     * forwarded to the Node callback server.
+     */
+    private function addJsCallbacks(Environment $twigEnvironment): void
+    {
+        foreach ($this->config["jsCallbacks"]["filters"] as $name) {
+            $twigEnvironment->addFilter(
+                new TwigFilter(
+                    $name,
+                    fn(mixed ...$args): mixed => $this->callJs(
+                        "filter",
+                        $name,
+                        $args,
+                    ),
+                ),
+            );
+        }
+
+        foreach ($this->config["jsCallbacks"]["functions"] as $name) {
+            $twigEnvironment->addFunction(
+                new TwigFunction(
+                    $name,
+                    fn(mixed ...$args): mixed => $this->callJs(
+                        "function",
+                        $name,
+                        $args,
+                    ),
+                ),
+            );
+        }
+
+        foreach ($this->config["jsCallbacks"]["tests"] as $name) {
+            $twigEnvironment->addTest(
+                new TwigTest(
+                    $name,
+                    fn(mixed ...$args): bool => (bool) $this->callJs(
+                        "test",
+                        $name,
+                        $args,
+                    ),
+                ),
+            );
+        }
+
+        if ($this->config["jsCallbacks"]["vite"] ?? false) {
+            $this->addViteFunctions($twigEnvironment);
+        }
+    }
+
+    /**
+     * `vite_asset(path)` returns the url of a source file and
+     * `vite_entry(path)` the tags loading an entry, as resolved by Vite.
+     */
+    private function addViteFunctions(Environment $twigEnvironment): void
+    {
+        $twigEnvironment->addFunction(
+            new TwigFunction(
+                "vite_asset",
+                fn(string $path): string => (string) $this->callJs(
+                    "vite",
+                    "asset",
+                    [$path],
+                ),
+            ),
+        );
+
+        $twigEnvironment->addFunction(
+            new TwigFunction(
+                "vite_entry",
+                fn(string $path): string => (string) $this->callJs(
+                    "vite",
+                    "entry",
+                    [$path],
+                ),
+                ["is_safe" => ["html"]],
+            ),
+        );
+    }
+
+    private function callJs(string $type, string $name, array $args): mixed
+    {
+        $context = stream_context_create([
+            "http" => [
+                "method" => "POST",
+                "header" => "Content-Type: application/json\r\n",
+                "content" => json_encode(
+                    [
+                        "type" => $type,
+                        "name" => $name,
+                        "args" => $args,
+                    ],
+                    JSON_THROW_ON_ERROR,
+                ),
+                "ignore_errors" => true,
+            ],
+        ]);
+
+        $response = @file_get_contents(
+            $this->config["jsCallbacks"]["url"],
+            false,
+            $context,
+        );
+
+        if ($response === false) {
+            throw new \RuntimeException(
+                sprintf('Unable to reach JS %s "%s".', $type, $name),
+            );
+        }
+
+        $results = json_decode($response, true, 512, JSON_THROW_ON_ERROR);
+
+        if (!$results["ok"]) {
+            throw new \RuntimeException(
+                sprintf(
+                    'JS %s "%s" failed. %s',
+                    $type,
+                    $name,
+                    $results["message"],
+                ),
+            );
+        }
+
+        return $results["result"] ?? null;
+    }
 }
@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Buio;
+
+use Twig\Extension\AbstractExtension;
+use Twig\Source;
+
+/**
+ * The "report" mode of `strictVariables`: templates render as if strict
+ * variables were off, while every lookup of a variable missing from the
+ * context is collected, so the caller can warn about it or fail.
+ */
+final class UndefinedVariablesExtension extends AbstractExtension
+{
+    private array $undefinedVariables = [];
+
+    public function getNodeVisitors(): array
+    {
+        return [new UndefinedVariablesNodeVisitor()];
+    }
+
+    /**
+     * Called by compiled templates instead of the variable lookup.
+     * @return null What the missing variable evaluates to
+     */
+    public function report(Source $source, int $line, string $name): mixed
+    {
+        $key = $source->getName() . ":" . $line . ":" . $name;
+        $this->undefinedVariables[$key] = [
+            "name" => $name,
+            "template" => $source->getName(),
+            // templates from the ArrayLoader have no path
+            "file" => $source->getPath() ?: null,
+            "line" => $line,
+        ];
+
+        return null;
+    }
+
+    public function reset(): void
+    {
+        $this->undefinedVariables = [];
+    }
+
+    /**
+     * @return array<array{name: string, template: string, file: ?string, line: int}> Undefined variables used since the last reset
+     */
+    public function getUndefinedVariables(): array
+    {
+        return array_values($this->undefinedVariables);
+    }
+}
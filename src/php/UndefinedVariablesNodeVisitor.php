@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Buio;
+
+use Twig\Environment;
+use Twig\Node\Expression\Variable\ContextVariable;
+use Twig\Node\Node;
+use Twig\NodeVisitor\NodeVisitorInterface;
+
+/**
+ * Swaps variable lookups for ones reporting missing variables to the
+ * UndefinedVariablesExtension. Lookups that are allowed to miss, like
+ * `is defined`, `|default` and `??`, are left alone.
+ */
+final class UndefinedVariablesNodeVisitor implements NodeVisitorInterface
+{
+    // Compiled to PHP variables rather than looked up in the context
+    private const SPECIAL_NAMES = ["_self", "_context", "_charset"];
+
+    public function enterNode(Node $node, Environment $env): Node
+    {
+        return $node;
+    }
+
+    public function leaveNode(Node $node, Environment $env): ?Node
+    {
+        if ($node::class !== ContextVariable::class) {
+            return $node;
+        }
+
+        $name = $node->getAttribute("name");
+        if (
+            in_array($name, self::SPECIAL_NAMES, true) ||
+            $node->getAttribute("is_defined_test") ||
+            $node->getAttribute("ignore_strict_check") ||
+            $node->getAttribute("always_defined")
+        ) {
+            return $node;
+        }
+
+        $reported = new ReportedContextVariable(
+            $name,
+            $node->getTemplateLine(),
+        );
+        if ($node->getSourceContext() !== null) {
+            $reported->setSourceContext($node->getSourceContext());
+        }
+
+        return $reported;
+    }
+
+    public function getPriority(): int
+    {
+        return 0;
+    }
+}
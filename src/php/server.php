@@ -11,11 +11,14 @@ use React\Promise\Promise;
 use React\Socket\SocketServer;
 
 require_once dirname(__DIR__, 2) . "/vendor/autoload.php";
+require_once __DIR__ . "/DependencyTrackingLoader.php";
+require_once __DIR__ . "/ReportedContextVariable.php";
+require_once __DIR__ . "/UndefinedVariablesNodeVisitor.php";
+require_once __DIR__ . "/UndefinedVariablesExtension.php";
 require_once __DIR__ . "/TwigRenderer.php";
 
 // CLI args
 $port = $argv[1];
-$configFilePath = $argv[2];
 // END: CLI args
 
 
@@ -30,10 +33,10 @@ $config = [];
 $twigRenderer = null;
 $counter = 0;
 
-try {
-    $configString = file_get_contents($configFilePath);
-} catch (\Exception $exception) {
-    $msgs[] = "No configFile found at: " . $configFilePath;
+// the config is piped in on stdin
+$configString = stream_get_contents(STDIN);
+if ($configString === false || $configString === "") {
+    $msgs[] = "No config received on stdin";
     $responseCode = 500;
 }
 
@@ -99,7 +102,7 @@ $server = new HttpServer(static function (ServerRequestInterface $request) use (
         );
     }
 
-    // one of: meta, renderFile, renderString
+    // one of: meta, renderFile, renderString, renderBatch, setGlobals, parseData, lint
     $type = $query["type"];
 
     switch ($type) {
@@ -122,34 +125,14 @@ $server = new HttpServer(static function (ServerRequestInterface $request) use (
                 ),
             );
 
-        case "renderFile":
+        default:
             return new Promise(static function ($resolve, $reject) use (
                 $twigRenderer,
+                $type,
                 $body,
                 $headers,
             ): void {
-                $results = $twigRenderer->render(
-                    $body["template"],
-                    $body["data"],
-                );
-                $response = new Response(
-                    $results["ok"] ? 200 : 404,
-                    $headers,
-                    json_encode($results, JSON_THROW_ON_ERROR),
-                );
-                $resolve($response);
-            });
-
-        case "renderString":
-            return new Promise(static function ($resolve, $reject) use (
-                $twigRenderer,
-                $body,
-                $headers,
-            ): void {
-                $results = $twigRenderer->renderString(
-                    $body["template"],
-                    $body["data"],
-                );
+                $results = $twigRenderer->handleRequest($type, $body);
                 $response = new Response(
                     $results["ok"] ? 200 : 404,
                     $headers,
@@ -0,0 +1,106 @@
+<?php
+
+declare(strict_types=1);
+
+use Buio\TwigRenderer;
+use React\EventLoop\Loop;
+use React\Stream\ReadableResourceStream;
+use React\Stream\WritableResourceStream;
+
+require_once dirname(__DIR__, 2) . "/vendor/autoload.php";
+require_once __DIR__ . "/DependencyTrackingLoader.php";
+require_once __DIR__ . "/ReportedContextVariable.php";
+require_once __DIR__ . "/UndefinedVariablesNodeVisitor.php";
+require_once __DIR__ . "/UndefinedVariablesExtension.php";
+require_once __DIR__ . "/TwigRenderer.php";
+
+// Render server speaking newline-delimited JSON over stdin/stdout.
+// The first frame must be `{"type": "init", "config": {...}}` and is answered
+// with `{"type": "ready"}`; every later `{"id", "type", "body"}` frame is
+// answered with `{"id", "results"}`, also when handling it throws.
+
+$loop = Loop::get();
+$stdin = new ReadableResourceStream(STDIN, $loop);
+$stdout = new WritableResourceStream(STDOUT, $loop);
+$twigRenderer = null;
+$buffer = "";
+
+function writeFrame(WritableResourceStream $stdout, array $frame): void
+{
+    $stdout->write(json_encode($frame, JSON_THROW_ON_ERROR) . "\n");
+}
+
+function handleFrame(array $frame, ?TwigRenderer &$twigRenderer): ?array
+{
+    if ($frame["type"] === "init") {
+        $twigRenderer = new TwigRenderer($frame["config"]);
+
+        if ($frame["config"]["verbose"]) {
+            fwrite(
+                STDERR,
+                "PHP Twig Render Server listening on stdio" . PHP_EOL,
+            );
+        }
+
+        return ["type" => "ready"];
+    }
+
+    return [
+        "id" => $frame["id"],
+        "results" => $twigRenderer->handleRequest(
+            $frame["type"],
+            $frame["body"] ?? [],
+        ),
+    ];
+}
+
+$stdin->on("data", static function (string $chunk) use (
+    $stdout,
+    &$buffer,
+    &$twigRenderer,
+): void {
+    $buffer .= $chunk;
+
+    while (($newline = strpos($buffer, "\n")) !== false) {
+        $line = substr($buffer, 0, $newline);
+        $buffer = substr($buffer, $newline + 1);
+
+        try {
+            $frame = json_decode($line, true, 512, JSON_THROW_ON_ERROR);
+        } catch (\Exception $exception) {
+            fwrite(
+                STDERR,
+                "Not able to parse JSON. " . $exception->getMessage() . PHP_EOL,
+            );
+            continue;
+        }
+
+        // anything echoed while rendering would corrupt the protocol stream
+        ob_start();
+        try {
+            $response = handleFrame($frame, $twigRenderer);
+        } catch (\Throwable $exception) {
+            // answered like a failed render rather than ending the server;
+            // a failed init has no id
+            $response = [
+                "id" => $frame["id"] ?? null,
+                "results" => [
+                    "ok" => false,
+                    "message" => $exception->getMessage(),
+                ],
+            ];
+        }
+        $strayOutput = ob_get_clean();
+        if ($strayOutput !== "") {
+            fwrite(STDERR, $strayOutput);
+        }
+
+        writeFrame($stdout, $response);
+    }
+});
+
+$stdin->on("close", static function () use ($loop): void {
+    $loop->stop();
+});
+
+$loop->run();
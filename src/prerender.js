@@ -0,0 +1,274 @@
+import { join, relative, resolve } from "node:path";
+import fs from "fs-extra";
+import FastGlob from "fast-glob";
+import lodash from "lodash";
+import { normalizePath, resolveConfig } from "vite";
+import { dataFileFormats, dataModuleExtensions } from "./page-data.js";
+
+export const defaultPrerenderOptions = {
+  // dir with the pages, relative to the plugin `root`
+  pages: "pages",
+  // defaults to Vite's `build.outDir`
+  outDir: null,
+  // e.g. `https://example.com`; the sitemap is skipped without it
+  hostname: null,
+  // pages rendered per batch, see `TwigRenderer.renderBatch()`
+  batchSize: 10,
+};
+
+// sources Vite's html pipeline would bundle, see `findSourceReferences()`
+const sourceExtensions =
+  /\.(?:[cm]?[jt]sx?|css|s[ac]ss|less|styl(?:us)?|p(?:ost)?css)$/;
+
+/**
+ * Find the pages to prerender: files in `dir` in one of the page `formats`,
+ * leaving out data files and fixtures belonging to other pages.
+ * @param {object} options
+ * @param {string} options.dir - Dir with the pages
+ * @param {string[]} options.formats - Page formats, as in the plugin options
+ * @param {string[]} options.ignoredPaths - Globs of pages to leave out, relative to `dir`
+ * @returns {{file: string, name: string}[]} - Page files, and their names without the format
+ */
+export function findPages({ dir, formats, ignoredPaths }) {
+  // longest first, so `x.json.twig` is a `json.twig` page
+  const sortedFormats = [...formats].sort((a, b) => b.length - a.length);
+  const dataExtensions = Object.keys(dataFileFormats);
+
+  return FastGlob.sync(
+    sortedFormats.map((format) => `**/*.${format}`),
+    {
+      cwd: dir,
+      absolute: true,
+      ignore: [
+        "**/node_modules/**",
+        ...ignoredPaths.map((path) => path.replace(/^\/+/, "")),
+      ],
+    },
+  )
+    .sort()
+    .filter(
+      (file) =>
+        !file.endsWith(".variants.json") &&
+        !dataModuleExtensions.some((extension) => file.endsWith(extension)) &&
+        // `index.twig.json` is data for `index.twig`
+        !dataExtensions.some(
+          (extension) =>
+            file.endsWith(extension) &&
+            fs.existsSync(file.slice(0, -extension.length)),
+        ),
+    )
+    .map((file) => {
+      const format = sortedFormats.find((candidate) =>
+        file.endsWith(`.${candidate}`),
+      );
+      return {
+        file,
+        name: normalizePath(relative(dir, file)).slice(0, -format.length - 1),
+      };
+    });
+}
+
+/**
+ * @param {string} name - Page name, e.g. `about` or `blog/index`
+ * @returns {string} - Html file with a clean url, e.g. `about/index.html`
+ */
+export function getCleanOutputFile(name) {
+  if (name === "index" || name.endsWith("/index")) {
+    return `${name}.html`;
+  }
+  // e.g. `feed.xml` keeps its own extension
+  return /\.\w+$/.test(name.split("/").pop()) ? name : `${name}/index.html`;
+}
+
+/**
+ * Prerendered pages don't go through Vite's html pipeline, so a
+ * `<script src>` or `<link href>` pointing at a source would be copied as it
+ * is instead of being bundled. Pages load them with `vite_entry()` or
+ * `vite_asset()` instead.
+ * @param {string} html - Prerendered page
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ * @returns {string[]} - Urls of the sources it references, e.g. `/src/main.js`
+ */
+export function findSourceReferences(html, { base, publicDir, root }) {
+  const tags =
+    /<(?:script|link)\b[^>]*?\s(?:src|href)\s*=\s*(["'])(.*?)\1[^>]*>/gis;
+
+  return [...html.matchAll(tags)]
+    .map(([, , url]) => url)
+    .filter((url) => {
+      const path = url.split(/[?#]/)[0];
+      if (
+        !path.startsWith("/") ||
+        path.startsWith("//") ||
+        !sourceExtensions.test(path)
+      ) {
+        return false;
+      }
+
+      const file = path.startsWith(base)
+        ? path.slice(base.length)
+        : path.slice(1);
+      // files in the public dir are copied as they are anyway
+      return (
+        fs.existsSync(resolve(root, file)) &&
+        !(publicDir && fs.existsSync(resolve(publicDir, file)))
+      );
+    });
+}
+
+/**
+ * @param {string[]} urls - Absolute urls of the pages
+ * @returns {string} - sitemap.xml
+ */
+export function createSitemap(urls) {
+  const entries = urls.map(
+    (url) => `  <url>\n    <loc>${lodash.escape(url)}</loc>\n  </url>`,
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * @param {string} outputFile - Html file, relative to the out dir
+ * @returns {string} - Url path it is served at
+ */
+const toUrlPath = (outputFile) =>
+  outputFile === "index.html" || outputFile.endsWith("/index.html")
+    ? outputFile.slice(0, -"index.html".length)
+    : outputFile;
+
+/**
+ * Render every page to html files in the out dir, with clean urls, plus the
+ * pages of paginated data pages at their permalinks and a sitemap.xml.
+ * Sources are only read, never renamed. Pages referencing sources fail, see
+ * `findSourceReferences()`.
+ * @param {object} options
+ * @param {object} options.options - Plugin options
+ * @param {import('vite').ResolvedConfig} options.resolvedConfig - Vite config
+ * @param {import('./collections.js').default} options.collections - Paginated data pages
+ * @param {(pages: {file: string, content: string, pageNumber: number}[]) => Promise<{content?: string, error?: string}[]>} options.renderPages - Renders page sources, in one batch
+ * @param {object} [options.prerender] - Overrides for the `prerender` plugin option
+ * @returns {Promise<string[]>} - Files written, relative to the out dir
+ */
+export async function prerenderPages({
+  options,
+  resolvedConfig,
+  collections,
+  renderPages,
+  prerender = {},
+}) {
+  const config = {
+    ...defaultPrerenderOptions,
+    ...(typeof options.prerender === "object" ? options.prerender : {}),
+    ...prerender,
+  };
+  const { logger, root } = resolvedConfig;
+  const outDir = resolve(root, config.outDir ?? resolvedConfig.build.outDir);
+
+  const jobs = findPages({
+    dir: resolve(options.root, config.pages),
+    formats: options.formats,
+    ignoredPaths: options.ignoredPaths,
+  }).map(({ file, name }) => ({
+    file,
+    pageNumber: 1,
+    outputFile: getCleanOutputFile(name),
+  }));
+
+  for (const [outputFile, page] of await collections.getRoutes()) {
+    jobs.push({ file: page.file, pageNumber: page.pageNumber, outputFile });
+  }
+
+  const written = [];
+  const errors = [];
+
+  for (const batch of lodash.chunk(jobs, config.batchSize)) {
+    const pages = await Promise.all(
+      batch.map(async (job) => ({
+        ...job,
+        content: await fs.readFile(job.file, "utf8"),
+      })),
+    );
+    const outputs = await renderPages(pages);
+
+    for (const [index, { file, content, outputFile }] of pages.entries()) {
+      const output = outputs[index];
+
+      if (output.error) {
+        errors.push(`${relative(root, file)}: ${output.error}`);
+        continue;
+      }
+      if (output.content === undefined || output.content === content) {
+        // e.g. a data page in a format that is not rendered
+        continue;
+      }
+
+      const sources = outputFile.endsWith(".html")
+        ? findSourceReferences(output.content, resolvedConfig)
+        : [];
+      if (sources.length > 0) {
+        errors.push(
+          `${relative(root, file)}: ${sources.join(", ")} would not be bundled, load sources with vite_entry() or vite_asset() when prerendering`,
+        );
+        continue;
+      }
+
+      await fs.outputFile(join(outDir, outputFile), output.content);
+      written.push(outputFile);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Prerendering failed for ${errors.length} page(s):\n${errors.join("\n")}`,
+    );
+  }
+
+  if (config.hostname) {
+    const urls = written
+      .filter((outputFile) => outputFile.endsWith(".html"))
+      .sort()
+      .map(
+        (outputFile) =>
+          `${config.hostname.replace(/\/+$/, "")}${resolvedConfig.base}${toUrlPath(outputFile)}`,
+      );
+    await fs.outputFile(join(outDir, "sitemap.xml"), createSitemap(urls));
+    written.push("sitemap.xml");
+  } else {
+    logger.info("Skipping sitemap.xml, set `prerender.hostname` to create it");
+  }
+
+  const shownOutDir = normalizePath(relative(root, outDir));
+  logger.info(
+    `Prerendered ${written.length} file(s) to ${shownOutDir.startsWith("../") ? outDir : shownOutDir || "."}/`,
+  );
+  return written;
+}
+
+/**
+ * Prerender a site outside of `vite build`, using the Twig plugin from the
+ * Vite config. Assets resolve through the manifest of a previous build.
+ * @param {import('vite').InlineConfig} [inlineConfig] - Vite config, e.g. `{ configFile, root }`
+ * @param {object} [overrides] - Overrides for the `prerender` plugin option
+ * @returns {Promise<string[]>} - Files written, relative to the out dir
+ */
+export async function prerender(inlineConfig = {}, overrides = {}) {
+  const resolvedConfig = await resolveConfig(inlineConfig, "build");
+  const plugin = resolvedConfig.plugins.find(
+    ({ name }) => name === "vite-twig",
+  );
+
+  if (!plugin?.api?.prerender) {
+    throw new Error("The Twig plugin is missing from the Vite config");
+  }
+
+  try {
+    return await plugin.api.prerender(overrides);
+  } finally {
+    await plugin.api.stop();
+  }
+}
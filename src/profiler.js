@@ -0,0 +1,179 @@
+import fs from "fs-extra";
+
+/**
+ * @typedef {object} TwigProfile
+ * @property {string} type - `root`, `template`, `block` or `macro`
+ * @property {string} template - Template name
+ * @property {string} name - Template, block or macro name
+ * @property {number} start - Epoch milliseconds
+ * @property {number} duration - Milliseconds, including nested profiles
+ * @property {number} memory - Bytes
+ * @property {TwigProfile[]} profiles - Nested templates, blocks and macros
+ */
+
+/**
+ * @param {number} ms - Milliseconds
+ * @returns {string} - Aligned for the report columns
+ */
+const formatDuration = (ms) => `${ms.toFixed(1)}ms`.padStart(10);
+
+/**
+ * Collects the Twig profiles of renders, to tell which pages and templates
+ * are slow. Only the latest renders are kept, as a dev server renders for as
+ * long as it runs.
+ */
+class RenderProfiler {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxRenders] - How many of the latest renders to keep
+   */
+  constructor({ maxRenders = 1000 } = {}) {
+    this.maxRenders = maxRenders;
+    /** @type {{name: string, profile: TwigProfile}[]} */
+    this.renders = [];
+    // renders left out to stay within `maxRenders`
+    this.dropped = 0;
+  }
+
+  /**
+   * @param {string} name - What was rendered, e.g. the page or template
+   * @param {TwigProfile} profile - From the render response
+   */
+  add(name, profile) {
+    this.renders.push({ name, profile });
+    if (this.renders.length > this.maxRenders) {
+      this.renders.shift();
+      this.dropped += 1;
+    }
+  }
+
+  reset() {
+    this.renders = [];
+    this.dropped = 0;
+  }
+
+  /**
+   * @param {number} [limit] - How many pages and templates to list
+   * @returns {{renders: number, dropped: number, duration: number, pages: object[], templates: object[]}} - Slowest first, of the renders kept
+   */
+  getReport(limit = 10) {
+    const templates = new Map();
+
+    const visit = (profile) => {
+      const nested = profile.profiles.reduce(
+        (sum, child) => sum + child.duration,
+        0,
+      );
+
+      if (profile.type === "template") {
+        const stats = templates.get(profile.template) ?? {
+          template: profile.template,
+          renders: 0,
+          duration: 0,
+          self: 0,
+          max: 0,
+        };
+        stats.renders += 1;
+        stats.duration += profile.duration;
+        stats.self += Math.max(0, profile.duration - nested);
+        stats.max = Math.max(stats.max, profile.duration);
+        templates.set(profile.template, stats);
+      }
+
+      profile.profiles.forEach(visit);
+    };
+    this.renders.forEach(({ profile }) => visit(profile));
+
+    const pages = this.renders
+      .map(({ name, profile }) => ({ name, duration: profile.duration }))
+      .sort((a, b) => b.duration - a.duration);
+
+    return {
+      renders: this.renders.length,
+      dropped: this.dropped,
+      duration: pages.reduce((sum, page) => sum + page.duration, 0),
+      pages: pages.slice(0, limit),
+      templates: [...templates.values()]
+        .sort((a, b) => b.self - a.self)
+        .slice(0, limit),
+    };
+  }
+
+  /**
+   * @param {number} [limit] - How many pages and templates to list
+   * @returns {string} - The report, for the terminal
+   */
+  formatReport(limit = 10) {
+    const report = this.getReport(limit);
+
+    const renders =
+      report.dropped > 0
+        ? `the latest ${report.renders} of ${report.renders + report.dropped} render(s)`
+        : `${report.renders} render(s)`;
+
+    return [
+      `Twig profile: ${renders} in ${report.duration.toFixed(1)}ms`,
+      "",
+      "Slowest pages:",
+      ...report.pages.map(
+        ({ name, duration }) => `${formatDuration(duration)}  ${name}`,
+      ),
+      "",
+      "Slowest templates (self, total, renders):",
+      ...report.templates.map(
+        ({ template, self, duration, renders }) =>
+          `${formatDuration(self)}${formatDuration(duration)}  ${String(renders).padStart(6)}  ${template}`,
+      ),
+    ].join("\n");
+  }
+
+  /**
+   * @returns {{traceEvents: object[]}} - Every render as a row in Chrome's trace format, for `chrome://tracing` or Perfetto
+   */
+  toChromeTrace() {
+    const traceEvents = [];
+
+    const visit = (profile, tid) => {
+      if (profile.type !== "root") {
+        traceEvents.push({
+          name:
+            profile.type === "template"
+              ? profile.template
+              : `${profile.template}::${profile.name}`,
+          cat: profile.type,
+          ph: "X",
+          // microseconds
+          ts: Math.round(profile.start * 1000),
+          dur: Math.round(profile.duration * 1000),
+          pid: 1,
+          tid,
+          args: { memory: profile.memory },
+        });
+      }
+      profile.profiles.forEach((child) => visit(child, tid));
+    };
+
+    this.renders.forEach(({ name, profile }, index) => {
+      const tid = index + 1;
+      traceEvents.push({
+        name: "thread_name",
+        ph: "M",
+        pid: 1,
+        tid,
+        args: { name },
+      });
+      visit(profile, tid);
+    });
+
+    return { traceEvents };
+  }
+
+  /**
+   * @param {string} file - Where to write the trace JSON
+   */
+  async writeChromeTrace(file) {
+    await fs.outputJson(file, this.toChromeTrace());
+  }
+}
+
+export default RenderProfiler;
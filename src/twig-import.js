@@ -0,0 +1,233 @@
+import { dirname, extname, relative, resolve } from "node:path";
+import { normalizePath } from "vite";
+import { dataFileFormats, parseDataSources } from "./page-data.js";
+
+export const twigRenderPath = "__twig/render";
+export const twigRuntimeId = "virtual:vite-twig/render";
+
+// how SSR modules reach the renderer of their plugin instance: the render
+// functions by instance, as one process can run several Vite servers
+const ssrRendersKey = Symbol.for("vite-twig.renders");
+
+/**
+ * @param {string} instanceId - Plugin instance rendering, see `createRuntime()`
+ * @param {((template: string, data: object) => Promise<string>)|null} render - Renders for its SSR modules, `null` to remove it
+ */
+export function setSsrRender(instanceId, render) {
+  globalThis[ssrRendersKey] ??= new Map();
+  if (render) {
+    globalThis[ssrRendersKey].set(instanceId, render);
+  } else {
+    globalThis[ssrRendersKey].delete(instanceId);
+  }
+}
+
+/**
+ * Module the `.twig` imports render with: through the renderer during SSR,
+ * through the dev server in the browser.
+ * @param {string} instanceId - Plugin instance serving the module
+ * @returns {string} - Module code
+ */
+export const createRuntime = (
+  instanceId,
+) => `const ssrRendersKey = Symbol.for("vite-twig.renders");
+
+export async function renderTwig(template, data = {}) {
+  if (import.meta.env.SSR) {
+    const render = globalThis[ssrRendersKey]?.get(${JSON.stringify(instanceId)});
+    if (!render) {
+      throw new Error(\`Unable to render \${template}: the Twig plugin is not running in this process\`);
+    }
+    return render(template, data);
+  }
+
+  if (!import.meta.env.DEV) {
+    throw new Error(\`Unable to render \${template} in the browser without the dev server. Import it with ?html to render it at build time.\`);
+  }
+
+  const response = await fetch(\`\${import.meta.env.BASE_URL}${twigRenderPath}\`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ template, data }),
+  });
+  const results = await response.json();
+  if (!response.ok) {
+    throw new Error(results.message);
+  }
+  return results.html;
+}
+`;
+
+/**
+ * Lets JS import templates:
+ *
+ * - `import render from "./card.twig"`: `await render(data)` returns the html,
+ *   in dev and SSR
+ * - `import html from "./card.twig?html&data=./card.json"`: the html, rendered
+ *   once when the module loads, with the data from a file next to the template
+ */
+class TwigImports {
+  /**
+   * @param {object} options
+   * @param {object} options.options - Plugin options
+   * @param {() => Promise<import('./twig-renderer.js').default>} options.getRenderer - Returns the started renderer
+   */
+  constructor({ options, getRenderer }) {
+    this.options = options;
+    this.getRenderer = getRenderer;
+  }
+
+  /**
+   * @param {string} id - Module id
+   * @returns {boolean} - Is it a template imported from JS?
+   */
+  isTwigImport(id) {
+    const [file, query = ""] = id.split("?");
+    const params = new URLSearchParams(query);
+    return (
+      file.endsWith(".twig") &&
+      !id.startsWith("\0") &&
+      [...params.keys()].every((key) => key === "html" || key === "data")
+    );
+  }
+
+  /**
+   * Module id of an `?html` import, with `html` moved to the end: Vite's own
+   * plugins would take `card.twig?html&data=./card.json` for a JSON module.
+   * @param {string} file - Resolved template file
+   * @param {string} query - Query of the import
+   * @returns {string} - Module id
+   */
+  getHtmlId(file, query) {
+    const data = new URLSearchParams(query).get("data");
+    return `${file}?${data ? `data=${encodeURIComponent(data)}&` : ""}html`;
+  }
+
+  /**
+   * @param {string} file - Template file
+   * @returns {string} - Its name in the Twig roots or namespaces, e.g. `@components/card.twig`
+   */
+  getTemplateName(file) {
+    const dirs = [
+      { dir: this.options.root, prefix: "" },
+      ...Object.entries(this.options.namespaces).flatMap(([id, paths]) =>
+        (Array.isArray(paths) ? paths : [paths]).map((path) => ({
+          dir: resolve(this.options.root, path),
+          prefix: `@${id}/`,
+        })),
+      ),
+    ];
+
+    // the most specific dir wins, e.g. a namespace inside the root
+    const match = dirs
+      .map(({ dir, prefix }) => ({
+        prefix,
+        path: normalizePath(relative(dir, file)),
+      }))
+      .filter(({ path }) => !path.startsWith("../") && !path.startsWith("/"))
+      .sort((a, b) => a.path.length - b.path.length)[0];
+
+    if (!match) {
+      throw new Error(
+        `${file} is outside of the Twig root and namespaces, so it can't be rendered`,
+      );
+    }
+    return `${match.prefix}${match.path}`;
+  }
+
+  /**
+   * @param {string} template - Template name
+   * @param {object} data - Data, merged over the global data
+   * @returns {Promise<{html: string, dependencies: string[]}>} - Rendered template
+   * @throws {Error} - When rendering failed
+   */
+  async render(template, data = {}) {
+    const renderer = await this.getRenderer();
+    const results = await renderer.render(template, data);
+
+    if (!results.ok) {
+      throw new Error(results.message);
+    }
+    return { html: results.html, dependencies: results.dependencies ?? [] };
+  }
+
+  /**
+   * @param {string} id - Module id of a template imported from JS
+   * @param {import('rollup').PluginContext} context - To watch what the html was rendered from
+   * @returns {Promise<string>} - Module code
+   */
+  async load(id, context) {
+    const [file, query = ""] = id.split("?");
+    const params = new URLSearchParams(query);
+    const template = this.getTemplateName(file);
+
+    if (!params.has("html")) {
+      return `import { renderTwig } from "${twigRuntimeId}";
+
+export const template = ${JSON.stringify(template)};
+
+export function render(data = {}) {
+  return renderTwig(template, data);
+}
+
+export default render;
+`;
+    }
+
+    let data = {};
+    if (params.get("data")) {
+      const dataFile = resolve(dirname(file), params.get("data"));
+      const format = dataFileFormats[extname(dataFile)];
+      if (!format) {
+        throw new Error(`Unsupported data file: ${params.get("data")}`);
+      }
+      context.addWatchFile(dataFile);
+      [data] = await parseDataSources(await this.getRenderer(), [
+        { format, file: dataFile },
+      ]);
+    }
+
+    const { html, dependencies } = await this.render(template, data);
+    dependencies.forEach((dependency) => context.addWatchFile(dependency));
+
+    return `export const template = ${JSON.stringify(template)};
+
+export default ${JSON.stringify(html)};
+`;
+  }
+
+  /**
+   * Connect middleware rendering templates for the browser in dev:
+   * `POST {base}__twig/render` with `{template, data}`
+   * @param {import('http').IncomingMessage} req - Request
+   * @param {import('http').ServerResponse} res - Response
+   * @param {Function} next - Next middleware
+   */
+  async handle(req, res, next) {
+    if (req.method !== "POST") {
+      next();
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    let results;
+    try {
+      const { template, data } = JSON.parse(Buffer.concat(chunks).toString());
+      const { html } = await this.render(template, data);
+      res.statusCode = 200;
+      results = { html };
+    } catch (error) {
+      res.statusCode = 500;
+      results = { message: error.message };
+    }
+
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(results));
+  }
+}
+
+export default TwigImports;
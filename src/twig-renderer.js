@@ -1,82 +1,166 @@
+import http from "http";
 import path from "path";
 import { fileURLToPath } from "url";
-import qs from "querystring";
-import fetch from "node-fetch";
 import sleep from "sleep-promise";
 import fs from "fs-extra";
-import { execa, execaSync } from "execa";
+import lodash from "lodash";
+import { execaSync } from "execa";
 import getPort from "get-port";
 import Ajv from "ajv";
-import { formatSchemaErrors, getAllFolders } from "./utils.js";
+import PhpWorker, { serverStates } from "./php-worker.js";
+import RenderProfiler from "./profiler.js";
+import {
+  InvalidConfigError,
+  PhpEnvironmentError,
+  RequestFailedError,
+  RequestTimeoutError,
+  TwigRendererError,
+} from "./errors.js";
+import {
+  compareVersions,
+  formatSchemaErrors,
+  getAllFolders,
+  getAllTemplates,
+  withTimeout,
+} from "./utils.js";
 import configSchema from "../config.schema.json" with { type: "json" };
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Composer dependencies of the PHP render server
+export const vendorDir = path.join(__dirname, "..", "vendor");
+
+// Twig's FilesystemLoader::MAIN_NAMESPACE
+export const mainNamespace = "__main__";
+
+// Keep in sync with composer.json
+const minPhpVersion = "8.2.0";
+const minTwigVersion = "3.21.0";
+
 const ajv = new Ajv({
   useDefaults: true,
 });
 
 const validateSchemaAndAssignDefaults = ajv.compile(configSchema);
 
-const serverStates = Object.freeze({
-  STOPPED: "STOPPED",
-  STARTING: "STARTING",
-  READY: "READY",
-  STOPPING: "STOPPING",
-});
-
 class TwigRenderer {
   /**
-   * @param {TwigRendererConfig} userConfig - User config
+   * @param {import('../types/index.js').TwigRendererConfig} userConfig - User config, see `config.schema.json`
    */
   constructor(userConfig) {
-    this.checkPhp();
-
     this.portsUsed = new Set();
     this.serverState = serverStates.STOPPED;
     this.inProgressRequests = 0;
     this.totalRequests = 0;
     this.completedRequests = 0;
+    this.callbackServer = null;
+    this.callbackServerUrl = null;
+    this.workers = [];
+    // requests waiting for one of the `maxConcurrency` slots, oldest first
+    this.requestQueue = [];
+    // requests waiting for a worker to (re)start
+    this.workerWaiters = [];
+    this.restarting = null;
+    // set while a restart waits for the old servers to answer, see `restart()`
+    this.draining = false;
+    // data every template renders with, see `setGlobals()`
+    this.globals = null;
 
     this.config = Object.assign({}, userConfig);
-    this.config.verbose = true;
 
     this.validateConfig();
+    this.logger = this.config.logger ?? console;
+    this.checkPhp();
+
+    // collects the profile of every render when `profile` is on
+    this.profiler = this.config.profile ? new RenderProfiler() : null;
   }
 
+  /**
+   * Make sure the configured PHP binary runs and is recent enough, and that
+   * the bundled Composer dependencies provide a supported Twig.
+   * @throws {PhpEnvironmentError} - Describing what is missing
+   */
   checkPhp() {
+    const { phpBinary } = this.config;
+    const runPhp = (code) =>
+      execaSync(phpBinary, [...this.getPhpParams(), "-r", code], {
+        env: this.config.env,
+      }).stdout.trim();
+
+    let phpVersion;
+    try {
+      phpVersion = runPhp("echo PHP_VERSION;");
+    } catch (err) {
+      throw new PhpEnvironmentError(
+        `PHP cli required, but "${phpBinary}" could not be run. Install PHP ${minPhpVersion} or newer, or set the \`phpBinary\` option. ${err.shortMessage ?? err.message}`,
+        { cause: err },
+      );
+    }
+
+    if (compareVersions(phpVersion, minPhpVersion) < 0) {
+      throw new PhpEnvironmentError(
+        `PHP ${minPhpVersion} or newer is required, but "${phpBinary}" is PHP ${phpVersion}. Set the \`phpBinary\` option to use another PHP.`,
+      );
+    }
+
+    const autoloadPath = path.join(vendorDir, "autoload.php");
+    let twigVersion;
     try {
-      execaSync("php --version", { shell: true });
+      twigVersion = runPhp(
+        `require ${JSON.stringify(autoloadPath)}; echo \\Twig\\Environment::VERSION;`,
+      );
     } catch (err) {
-      console.error("Error: php cli required. ", err.message);
-      process.exit(1);
+      throw new PhpEnvironmentError(
+        `Twig could not be loaded from ${autoloadPath}. Run \`composer install\` in the package directory. ${err.shortMessage ?? err.message}`,
+        { cause: err },
+      );
+    }
+
+    if (compareVersions(twigVersion, minTwigVersion) < 0) {
+      throw new PhpEnvironmentError(
+        `Twig ${minTwigVersion} or newer is required, but Twig ${twigVersion} is installed. Run \`composer update twig/twig\` in the package directory.`,
+      );
     }
   }
 
+  /**
+   * @returns {string[]} - `-d` flags for the memory limit and `ini` overrides
+   */
+  getPhpParams() {
+    const ini = {
+      memory_limit: this.config.memoryLimit,
+      ...this.config.ini,
+    };
+
+    return Object.entries(ini).flatMap(([key, value]) => [
+      "-d",
+      `${key}=${value}`,
+    ]);
+  }
+
+  /**
+   * Validate the options against config.schema.json and fill in the defaults.
+   * @throws {InvalidConfigError} - Listing every schema violation, or naming a path that doesn't exist
+   */
   validateConfig() {
     const isValid = validateSchemaAndAssignDefaults(this.config);
     if (!isValid) {
       const { errors } = validateSchemaAndAssignDefaults;
-      const msgs = [
-        "Error: Please check config passed into TwigRenderer.",
-        formatSchemaErrors(errors),
-      ].join("\n");
-      console.error(msgs);
-      if (process.env.NODE_ENV === "testing") {
-        process.exitCode = 1;
-      } else {
-        process.exit(1);
-      }
-      throw new Error(msgs);
+      throw new InvalidConfigError(
+        [
+          "Please check config passed into TwigRenderer.",
+          formatSchemaErrors(errors),
+        ].join("\n"),
+      );
     }
 
     if (this.config.relativeFrom) {
       if (!fs.existsSync(this.config.relativeFrom)) {
-        const msg = `Uh oh, that file path does not exist: ${this.config.relativeFrom}`;
-        console.error(msg);
-        process.exitCode = 1;
-        throw new Error(msg);
+        throw new InvalidConfigError(
+          `relativeFrom does not exist: ${this.config.relativeFrom}`,
+        );
       }
       this.config.relativeFrom = path.resolve(
         process.cwd(),
@@ -86,6 +170,14 @@ class TwigRenderer {
       this.config.relativeFrom = process.cwd();
     }
 
+    if (this.config.cache) {
+      this.config.cache = path.resolve(
+        this.config.relativeFrom,
+        this.config.cache,
+      );
+      fs.ensureDirSync(this.config.cache);
+    }
+
     if (this.config.alterTwigEnv) {
       this.config.alterTwigEnv = this.config.alterTwigEnv.map((item) => {
         const isAbsolute = path.isAbsolute(item.file);
@@ -98,6 +190,18 @@ class TwigRenderer {
       });
     }
 
+    if (this.config.composerAutoload) {
+      this.config.composerAutoload = path.resolve(
+        this.config.relativeFrom,
+        this.config.composerAutoload,
+      );
+      if (!fs.existsSync(this.config.composerAutoload)) {
+        throw new InvalidConfigError(
+          `composerAutoload file does not exist: ${this.config.composerAutoload}`,
+        );
+      }
+    }
+
     this.config = TwigRenderer.processPaths(this.config);
   }
 
@@ -111,10 +215,9 @@ class TwigRenderer {
         const fullPath = path.resolve(relativeFrom, thePath);
         const relPath = path.relative(relativeFrom, fullPath);
         if (!fs.existsSync(fullPath)) {
-          const msg = `This file path does not exist, but was used in config: ${thePath}`;
-          console.error(msg);
-          process.exitCode = 1;
-          throw new Error(msg);
+          throw new InvalidConfigError(
+            `This file path does not exist, but was used in config: ${thePath}`,
+          );
         }
         return recursive ? getAllFolders(fullPath, relativeFrom) : relPath;
       });
@@ -182,200 +285,391 @@ class TwigRenderer {
   }
 
   async init() {
+    if (this.serverState === serverStates.READY) {
+      return this.serverState;
+    }
+
     if (this.serverState === serverStates.STARTING) {
       if (this.config.verbose) {
-        console.log("PHP server already starting, no need to re-init");
+        this.logger.info("PHP server already starting, no need to re-init");
       }
-      return this.serverState;
+      return this.starting;
     }
 
-    // try to handle situation when stopping the current instance but another request comes through
+    // a request came through while the current instance is stopping
     if (this.serverState === serverStates.STOPPING) {
       if (this.config.verbose) {
-        console.log("Server currently stopping -- trying to restart.");
+        this.logger.info(
+          "Server currently stopping -- restarting once stopped.",
+        );
       }
-      this.serverState = serverStates.READY;
-      return this.serverState;
+      await this.stopping;
+      // re-check: another caller waiting on the same stop may already be starting
+      return this.init();
     }
 
     if (this.config.verbose) {
-      console.log("Initializing PHP server…");
+      this.logger.info("Initializing PHP server…");
     }
     this.serverState = serverStates.STARTING;
+    this.starting = this.startWorkers();
+    return this.starting;
+  }
 
-    this.phpServerPort = await this.getOpenPort();
-    this.phpServerUrl = `http://127.0.0.1:${this.phpServerPort}`;
+  async startWorkers() {
+    await this.startCallbackServer();
 
-    // @todo Pass config to PHP server a better way than writing JSON file, then reading in PHP
-    this.sharedConfigPath = path.join(
-      __dirname,
-      `shared-config--${this.phpServerPort}.json`,
+    this.workers = Array.from(
+      { length: this.config.workers },
+      (_, index) => new PhpWorker(this, index + 1),
     );
-    await fs.writeFile(
-      this.sharedConfigPath,
-      JSON.stringify(this.config, null, "  "),
+
+    try {
+      await Promise.all(this.workers.map((worker) => worker.start()));
+    } catch (e) {
+      await this.stop();
+      throw e;
+    }
+
+    this.serverState = serverStates.READY;
+    this.notifyWorkerReady();
+    return this.serverState;
+  }
+
+  /**
+   * Called by a worker whose PHP process exited without being stopped.
+   * @param {PhpWorker} worker - Worker that exited
+   * @param {number} code - Exit code
+   * @param {string} signal - Signal that ended the process
+   */
+  handleWorkerExit(worker, code, signal) {
+    if (this.serverState !== serverStates.READY || worker.respawning) {
+      return;
+    }
+
+    this.logger.error(
+      `${worker.label} exited unexpectedly (code: ${code}, signal: ${signal})`,
     );
+    this.respawnWorker(worker);
+  }
 
-    const phpMemoryLimit = "4048M"; // @todo make user configurable
-    const params = [
-      "-d",
-      `memory_limit=${phpMemoryLimit}`,
-      path.join(__dirname, "php", "server.php"),
-      this.phpServerPort,
-      this.sharedConfigPath,
-    ];
-
-    console.log("Firing PHP cli…");
-    this.phpServer = execa("php", params, {
-      cleanup: true,
-      detached: false,
-    });
+  /**
+   * Restart a worker, backing off exponentially between failed attempts.
+   * Gives up after `retries` failed attempts; if no worker is left then, the
+   * renderer stops so the next request starts from scratch.
+   * @param {PhpWorker} worker - Worker to restart
+   */
+  async respawnWorker(worker) {
+    worker.respawning = true;
 
-    // the PHP close event appears to happen first, THEN the exit event
-    this.phpServer.on("close", async (code, signal) => {
-      if (this.config.verbose) {
-        console.log(
-          `PHP Server ${this.phpServerPort} closed (code: ${code}, signal: ${signal})`,
-        );
-      }
-      this.serverState = serverStates.STOPPING;
-    });
+    try {
+      await worker.stop();
 
-    this.phpServer.on("exit", async (code, signal) => {
-      if (this.config.verbose) {
-        console.log(
-          `PHP Server ${this.phpServerPort} exited (code: ${code}, signal: ${signal})`,
-        );
-      }
+      for (let attempt = 0; attempt <= this.config.retries; attempt += 1) {
+        await sleep(this.config.retryDelay * 2 ** attempt);
+        if (this.serverState !== serverStates.READY) {
+          return;
+        }
 
-      // Clean up config file only if stop() wasn't called
-      if (this.serverState !== serverStates.STOPPING) {
-        await this.cleanupConfigFile();
+        worker.stats.restarts += 1;
+        try {
+          await worker.start();
+          this.notifyWorkerReady();
+          return;
+        } catch (e) {
+          this.logger.error(`Failed to restart ${worker.label}: ${e.message}`);
+        }
       }
+    } finally {
+      worker.respawning = false;
+    }
 
-      this.serverState = serverStates.STOPPED;
-    });
+    if (this.workers.every((w) => w.state !== serverStates.READY)) {
+      this.logger.error("No PHP server left running, stopping TwigRenderer.");
+      await this.stop();
+    }
+  }
 
-    this.phpServer.on("error", (error) => {
-      console.error(`PHP Server error:`, error.message);
-    });
+  notifyWorkerReady() {
+    this.workerWaiters.splice(0).forEach((resolve) => resolve());
+  }
 
-    if (this.config.verbose) {
-      console.log(
-        `PHP Twig server starting on port ${this.phpServerPort} (PID: ${this.phpServer.pid})`,
+  /**
+   * Wait for a worker to be ready, for at most `requestTimeout`
+   * @returns {Promise<PhpWorker>} - Worker to send the next request to
+   */
+  async waitForWorker() {
+    let worker = this.pickWorker();
+
+    while (!worker) {
+      await withTimeout(
+        new Promise((resolve) => this.workerWaiters.push(resolve)),
+        this.config.requestTimeout,
+        () =>
+          new RequestTimeoutError(
+            `No PHP server became ready within ${this.config.requestTimeout}ms.`,
+          ),
       );
+      worker = this.pickWorker();
+    }
+
+    return worker;
+  }
+
+  /**
+   * Wait for one of the `maxConcurrency` request slots; first come, first served
+   */
+  async acquireSlot() {
+    if (this.inProgressRequests < this.config.maxConcurrency) {
+      this.inProgressRequests += 1;
+      return;
+    }
+
+    await new Promise((resolve) => this.requestQueue.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.requestQueue.shift();
+    if (next) {
+      // hand the slot straight to the next request in line
+      next();
+    } else {
+      this.inProgressRequests -= 1;
+    }
+  }
+
+  /**
+   * Pick the ready worker with the fewest requests in flight; none while a
+   * restart drains the old ones
+   * @returns {PhpWorker|undefined} - Worker to send the next request to
+   */
+  pickWorker() {
+    if (this.draining) {
+      return undefined;
+    }
+    return this.workers
+      .filter((worker) => worker.state === serverStates.READY)
+      .sort((a, b) => a.stats.inProgress - b.stats.inProgress)[0];
+  }
+
+  /**
+   * @returns {object} - Request counts, overall and per worker
+   */
+  getStats() {
+    return {
+      totalRequests: this.totalRequests,
+      completedRequests: this.completedRequests,
+      inProgressRequests: this.inProgressRequests,
+      workers: this.workers.map((worker) => worker.getStats()),
+    };
+  }
+
+  /**
+   * Config as handed to the PHP server. JS callbacks can't be serialized, so
+   * only their names are sent along with the URL to call them back on.
+   * @returns {object} - Shared config
+   */
+  getSharedConfig() {
+    const {
+      filters,
+      functions,
+      tests,
+      assetResolver,
+      logger,
+      ...sharedConfig
+    } = this.config;
+
+    if (this.callbackServerUrl) {
+      sharedConfig.jsCallbacks = {
+        url: this.callbackServerUrl,
+        filters: Object.keys(filters),
+        functions: Object.keys(functions),
+        tests: Object.keys(tests),
+        vite: Boolean(assetResolver),
+      };
+    }
+
+    return sharedConfig;
+  }
+
+  /**
+   * Start the HTTP server PHP calls back into while rendering JS-backed
+   * Twig filters, functions and tests, and `vite_asset()` / `vite_entry()`.
+   * Skipped when none are configured.
+   */
+  async startCallbackServer() {
+    const { filters, functions, tests, assetResolver } = this.config;
+    if (
+      this.callbackServer ||
+      (Object.keys(filters).length === 0 &&
+        Object.keys(functions).length === 0 &&
+        Object.keys(tests).length === 0 &&
+        !assetResolver)
+    ) {
+      return;
     }
 
-    await this.checkServerWhileStarting();
+    const port = await this.getOpenPort();
+    this.callbackServer = http.createServer((req, res) =>
+      this.handleCallback(req, res),
+    );
+    await new Promise((resolve) => {
+      this.callbackServer.listen(port, "127.0.0.1", resolve);
+    });
+    // never keep Node alive just for this server
+    this.callbackServer.unref();
+    this.callbackServerUrl = `http://127.0.0.1:${port}`;
 
     if (this.config.verbose) {
-      console.log(`PHP Twig server ready on port ${this.phpServerPort}`);
+      this.logger.info(
+        `JS callback server listening on ${this.callbackServerUrl}`,
+      );
     }
-    return this.serverState;
   }
 
-  async cleanupConfigFile() {
-    if (!this.sharedConfigPath) {
+  async stopCallbackServer() {
+    if (!this.callbackServer) {
       return;
     }
 
+    const { callbackServer } = this;
+    this.callbackServer = null;
+    this.callbackServerUrl = null;
+    await new Promise((resolve) => callbackServer.close(resolve));
+  }
+
+  /**
+   * Run a JS filter or function on behalf of the PHP server.
+   * Expects a JSON body of `{ type: "filter"|"function", name, args }`.
+   * @param {http.IncomingMessage} req - Request from PHP
+   * @param {http.ServerResponse} res - Response to PHP
+   */
+  async handleCallback(req, res) {
+    let results;
+
     try {
-      if (await fs.pathExists(this.sharedConfigPath)) {
-        await fs.unlink(this.sharedConfigPath);
-        if (this.config.verbose) {
-          console.log(`Cleaned up config file: ${this.sharedConfigPath}`);
-        }
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
       }
-    } catch (error) {
-      // File might already be deleted, that's ok
-      if (error.code !== "ENOENT") {
-        console.error(`Error cleaning up config file:`, error.message);
+      const {
+        type,
+        name,
+        args = [],
+      } = JSON.parse(Buffer.concat(chunks).toString());
+      const callbacks = {
+        filter: this.config.filters,
+        function: this.config.functions,
+        test: this.config.tests,
+        vite: this.config.assetResolver ?? {},
+      }[type];
+
+      if (!callbacks || !Object.hasOwn(callbacks, name)) {
+        throw new Error(`No JS ${type} registered as "${name}".`);
       }
-    } finally {
-      this.sharedConfigPath = null; // Clear the path after cleanup
+
+      results = {
+        ok: true,
+        result: await callbacks[name](...args),
+      };
+    } catch (e) {
+      results = {
+        ok: false,
+        message: e.message,
+      };
     }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(results));
   }
 
   async stop() {
     // Prevent double cleanup
-    if (
-      this.serverState === serverStates.STOPPED ||
-      this.serverState === serverStates.STOPPING
-    ) {
+    if (this.serverState === serverStates.STOPPED) {
       return;
     }
+    if (this.serverState === serverStates.STOPPING) {
+      return this.stopping;
+    }
 
     if (this.config.verbose) {
-      console.log(`Stopping PHP server on port ${this.phpServerPort}`);
+      this.logger.info(`Stopping ${this.workers.length} PHP server(s)`);
     }
 
     this.serverState = serverStates.STOPPING;
+    this.stopping = (async () => {
+      await Promise.all(this.workers.map((worker) => worker.stop()));
+      await this.stopCallbackServer();
+      this.serverState = serverStates.STOPPED;
+    })();
+
+    return this.stopping;
+  }
 
-    // Kill the PHP process
-    if (this.phpServer) {
-      this.phpServer.kill();
-      this.phpServer.removeAllListeners();
+  /**
+   * Restart the PHP servers, e.g. once PHP files they loaded changed. Requests
+   * already sent are answered by the old servers first; later ones wait for
+   * the new servers.
+   * @returns {Promise<void>} - Settles once the new servers are ready
+   */
+  async restart() {
+    if (this.restarting) {
+      return this.restarting;
+    }
+    // not running, the next request starts fresh servers anyway
+    if (
+      this.serverState === serverStates.STOPPED ||
+      this.serverState === serverStates.STOPPING
+    ) {
+      return;
     }
 
-    // Clean up config file
-    await this.cleanupConfigFile();
+    this.restarting = (async () => {
+      if (this.config.verbose) {
+        this.logger.info("Restarting PHP server(s)…");
+      }
+      // a failed start leaves nothing to drain
+      await this.starting.catch(() => {});
+      // requests not sent yet wait for the new servers, so none reaches the
+      // old ones between the drain and `stop()`
+      this.draining = true;
+      try {
+        await Promise.all(this.workers.map((worker) => worker.drain()));
+        await this.stop();
+      } finally {
+        this.draining = false;
+      }
+      await this.init();
+    })().finally(() => {
+      this.restarting = null;
+    });
 
-    this.serverState = serverStates.STOPPED;
+    return this.restarting;
   }
 
-  async closeServer() {
-    // console.log('checking if we can stop the server...');
-    if (this.config.keepAlive === false) {
-      if (
-        this.completedRequests === this.totalRequests &&
-        this.inProgressRequests === 0 &&
-        (this.serverState !== serverStates.STOPPING ||
-          this.serverState !== serverStates.STOPPED)
-      ) {
-        this.stop();
-      } else {
-        setTimeout(() => {
-          if (
-            this.completedRequests === this.totalRequests &&
-            this.inProgressRequests === 0
-          ) {
-            this.stop();
-          }
-        }, 300);
-      }
+  /**
+   * Without `keepAlive`, stop the servers once no request is left
+   */
+  closeServer() {
+    if (
+      this.config.keepAlive ||
+      this.completedRequests !== this.totalRequests
+    ) {
+      return;
     }
+    this.stop();
   }
 
   /**
-   * Is PHP sever ready to render?
-   * @returns {boolean} - is ready
+   * Start the PHP servers now, rather than on the first request
+   * @returns {Promise<void>} - Settles once they are ready
    */
-  async checkIfServerIsReady() {
-    if (this.config.verbose) {
-      // console.log(`Checking Server ${this.phpServerPort} was ${this.serverState}`);
-    }
-    try {
-      const res = await fetch(this.phpServerUrl);
-      const { ok } = res;
-      if (ok) {
-        this.serverState = serverStates.READY;
-      }
-      if (this.config.verbose) {
-        // console.log(`Server ${this.phpServerPort} is ${this.serverState}`);
-      }
-      return ok;
-    } catch (e) {
-      return false;
-    }
+  async start() {
+    await this.init();
   }
 
-  async checkServerWhileStarting() {
-    while (this.serverState === serverStates.STARTING) {
-      // console.log(`checkServerWhileStarting: ${this.serverState}`);
-      await this.checkIfServerIsReady();
-      await sleep(100);
-    }
-    return this.serverState;
+  async [Symbol.asyncDispose]() {
+    await this.stop();
   }
 
   /**
@@ -385,100 +679,250 @@ class TwigRenderer {
    * @returns {Promise<{ok: boolean, html: string, message: string}>} - Render results
    */
   async render(template, data = {}) {
-    const result = await this.request("renderFile", {
+    const results = await this.request("renderFile", {
       template,
       data,
     });
-    this.closeServer(); // try to cleanup the current server instance before returning results
-    return result;
+    if (results?.profile) {
+      this.profiler?.add(template, results.profile);
+    }
+    return results;
   }
 
   /**
    * Render Twig String
    * @param {string} template - inlined Twig template
    * @param {object} data - Data to pass to template
+   * @param {string} [name] - What the template is, e.g. its page, to show in profiles
    * @returns {Promise<{ok: boolean, html: string, message: string}>}  - Render results
    */
-  async renderString(template, data = {}) {
-    const result = await this.request("renderString", {
+  async renderString(template, data = {}, name = "string template") {
+    const results = await this.request("renderString", {
       template,
       data,
     });
-    this.closeServer(); // try to cleanup the current server instance before returning results
-    return result;
+    if (results?.profile) {
+      this.profiler?.add(name, results.profile);
+    }
+    return results;
   }
 
-  async getMeta() {
-    return this.request("meta");
+  /**
+   * Render many templates in one request per worker, rather than one request
+   * per template. A failed render doesn't fail the others.
+   * @param {{template?: string, string?: string, data?: object, name?: string}[]} jobs - Each with a template name or an inlined template
+   * @param {object} [data] - Data every job is rendered with, sent once per request; the data of a job is merged over it
+   * @returns {Promise<{ok: boolean, html: string, message: string}[]>} - Render results, in the order of `jobs`
+   */
+  async renderBatch(jobs, data = {}) {
+    if (jobs.length === 0) {
+      return [];
+    }
+
+    // split between the workers, so they still render in parallel
+    const batches = lodash.chunk(
+      jobs,
+      Math.ceil(jobs.length / this.config.workers),
+    );
+    const results = (
+      await Promise.all(
+        batches.map(async (batch) => {
+          const response = await this.request("renderBatch", {
+            jobs: batch.map(({ template, string, data: jobData = {} }) =>
+              string !== undefined
+                ? { string, data: jobData }
+                : { template, data: jobData },
+            ),
+            data,
+          });
+          if (!Array.isArray(response?.results)) {
+            throw new TwigRendererError(
+              `Batch render failed. ${response?.message ?? ""}`.trim(),
+            );
+          }
+          return response.results;
+        }),
+      )
+    ).flat();
+
+    jobs.forEach(({ template, string, name }, index) => {
+      if (results[index]?.profile) {
+        this.profiler?.add(
+          name ?? (string !== undefined ? "string template" : template),
+          results[index].profile,
+        );
+      }
+    });
+    return results;
   }
 
-  async request(type, body = {}) {
-    this.totalRequests += 1;
-    if (this.serverState === serverStates.STOPPED) {
-      await this.init();
-    }
+  /**
+   * Set the data every template renders with, as Twig globals. It is sent to
+   * each PHP server once, and again whenever one (re)starts, instead of with
+   * every render. Render data is merged over it.
+   * @param {object} globals - Global data, JSON serializable
+   * @returns {Promise<void>} - Settles once the running servers have it
+   */
+  async setGlobals(globals) {
+    this.globals = globals;
 
-    while (this.serverState !== serverStates.READY) {
-      await sleep(250);
+    // servers still starting might have been sent the previous globals
+    await this.starting?.catch(() => {});
+    if (this.serverState !== serverStates.READY) {
+      // servers starting later send them themselves, see `PhpWorker.start()`
+      return;
     }
 
-    while (this.inProgressRequests > this.config.maxConcurrency) {
-      await sleep(250);
-    }
+    await Promise.all(
+      this.workers
+        .filter((worker) => worker.state === serverStates.READY)
+        .map((worker) => worker.sendGlobals()),
+    );
+  }
 
-    const attempts = 3;
-    let attempt = 0;
-    let results;
+  /**
+   * Parse YAML, NEON or PHP data files with the PHP side's parsers
+   * @param {{format: string, file: string, content?: string}[]} sources - Files, or their contents
+   * @returns {Promise<{ok: boolean, data: object[], message: string}>} - Data, in the order of `sources`
+   */
+  async parseData(sources) {
+    return this.request("parseData", { sources });
+  }
 
-    while (attempt < attempts) {
-      try {
-        this.inProgressRequests += 1;
-        const requestUrl = `${this.phpServerUrl}?${qs.stringify({
-          type,
-        })}`;
-
-        // @todo Fail if no response after X seconds
-        const res = await fetch(requestUrl, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(body),
+  async getMeta() {
+    return this.request("meta");
+  }
+
+  /**
+   * Every template in the roots and namespaces, named the way Twig loads them
+   * @returns {Promise<{namespace: string, name: string, file: string}[]>} - Templates
+   */
+  async getTemplates() {
+    const { info } = await this.getMeta();
+    const templates = new Map();
+
+    (info?.src ?? []).forEach(({ namespace, paths }) => {
+      paths.forEach((dir) => {
+        const fullDir = path.resolve(this.config.relativeFrom, dir);
+        getAllTemplates(fullDir).forEach((file) => {
+          const relativeName = path
+            .relative(fullDir, file)
+            .split(path.sep)
+            .join("/");
+          const name =
+            namespace === mainNamespace
+              ? relativeName
+              : `@${namespace}/${relativeName}`;
+
+          // the first path that has a template wins, like in Twig
+          if (!templates.has(name)) {
+            templates.set(name, { namespace, name, file });
+          }
         });
+      });
+    });
+
+    return [...templates.values()];
+  }
+
+  /**
+   * Check templates for syntax errors without rendering them
+   * @param {string[]} templates - Template names, e.g. `@components/card.twig`
+   * @returns {Promise<{ok: boolean, errors: object[], message: string}>} - Errors, shaped like render errors plus the `template` name
+   */
+  async lint(templates) {
+    return this.request("lint", { templates });
+  }
 
-        const { status, headers, ok } = res;
-        const contentType = headers.get("Content-Type");
-        const warning = headers.get("Warning");
-
-        if (contentType === "application/json") {
-          results = await res.json();
-        } else {
-          results = {
-            ok,
-            message: warning,
-            html: await res.text(),
-          };
+  /**
+   * Send a request to the least busy PHP server, starting servers as needed.
+   * Failures other than timeouts are retried with exponential backoff.
+   * @param {string} type - Request type, e.g. `renderFile`
+   * @param {object} body - Request body
+   * @returns {Promise<object>} - Results from PHP
+   * @throws {RequestTimeoutError} - No response within `requestTimeout`
+   * @throws {RequestFailedError} - Still failing after `retries` retries
+   */
+  async request(type, body = {}) {
+    this.totalRequests += 1;
+    // wait for the new servers rather than keeping the old ones busy
+    await this.restarting;
+    await this.acquireSlot();
+
+    try {
+      let lastError;
+
+      for (let attempt = 0; attempt <= this.config.retries; attempt += 1) {
+        if (attempt > 0) {
+          await sleep(this.config.retryDelay * 2 ** (attempt - 1));
+        }
+
+        let worker;
+        try {
+          await this.init();
+          worker = await this.waitForWorker();
+
+          return await withTimeout(
+            worker.send(type, body),
+            this.config.requestTimeout,
+            () =>
+              new RequestTimeoutError(
+                `"${type}" request to ${worker.label} got no response within ${this.config.requestTimeout}ms.`,
+              ),
+          );
+        } catch (e) {
+          if (e instanceof RequestTimeoutError) {
+            // the PHP process is likely stuck rendering, so replace it
+            if (worker && !worker.respawning) {
+              this.respawnWorker(worker);
+            }
+            throw e;
+          }
+          lastError = e;
         }
-        this.inProgressRequests -= 1;
-        this.completedRequests += 1;
-
-        break;
-      } catch (e) {
-        results = {
-          ok: false,
-          message: e.message,
-        };
-        attempt += 1;
-        this.inProgressRequests -= 1;
       }
-    }
 
-    if (results.ok === false) {
-      console.log(`${results.message}`);
+      throw new RequestFailedError(
+        `"${type}" request failed after ${this.config.retries + 1} attempts. ${lastError.message}`,
+        { cause: lastError },
+      );
+    } finally {
+      this.completedRequests += 1;
+      this.releaseSlot();
+      this.closeServer();
     }
-
-    return results;
   }
 }
 
+/**
+ * A renderer with an explicit lifecycle: its PHP servers start with `start()`
+ * or the first render and stay up until `stop()`, or the end of an
+ * `await using` block.
+ * @param {import('../types/index.js').TwigRendererConfig} config - Renderer config, see `config.schema.json`
+ * @returns {import('../types/index.js').Renderer} - Renderer
+ */
+export function createRenderer(config) {
+  const renderer = new TwigRenderer({ ...config, keepAlive: true });
+
+  return {
+    renderer,
+    start: () => renderer.start(),
+    stop: () => renderer.stop(),
+    render: (template, data) => renderer.render(template, data),
+    renderString: (template, data, name) =>
+      renderer.renderString(template, data, name),
+    renderBatch: (jobs, data) => renderer.renderBatch(jobs, data),
+    setGlobals: (globals) => renderer.setGlobals(globals),
+    [Symbol.asyncDispose]: () => renderer.stop(),
+  };
+}
+
+export {
+  TwigRendererError,
+  RequestTimeoutError,
+  ServerExitError,
+  RequestFailedError,
+  PhpEnvironmentError,
+  InvalidConfigError,
+} from "./errors.js";
 export default TwigRenderer;
@@ -29,6 +29,61 @@ export function formatSchemaErrors(errors) {
   return msgs.join("\n");
 }
 
+/**
+ * Formats lines of template source as a code frame, marking the failed line
+ * @param {{line: number, code: string}[]} snippet - Lines around the error
+ * @param {number} line - Line the error happened on
+ * @returns {string} - Code frame
+ */
+export function formatCodeFrame(snippet, line) {
+  const width = String(snippet[snippet.length - 1]?.line ?? line).length;
+  return snippet
+    .map(
+      ({ line: number, code }) =>
+        `${number === line ? ">" : " "} ${String(number).padStart(width)} | ${code}`,
+    )
+    .join("\n");
+}
+
+/**
+ * Compares two dotted version strings, e.g. `8.2.10` and `8.10.0`
+ * @param {string} a - Version
+ * @param {string} b - Version to compare with
+ * @returns {number} - Negative if `a` is lower, positive if higher, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split(/[.-]/).map((part) => parseInt(part, 10) || 0);
+  const partsB = b.split(/[.-]/).map((part) => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i += 1) {
+    const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Rejects with the error from `createError` if `promise` takes longer than `ms`
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds; `0` waits forever
+ * @param {() => Error} createError - Creates the error to reject with
+ * @returns {Promise} - Settles like `promise`, unless the time runs out first
+ */
+export function withTimeout(promise, ms, createError) {
+  if (!ms) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(createError()), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Returns a random integer between min (inclusive) and max (inclusive)
  * Using Math.round() will give you a non-uniform distribution!
@@ -73,3 +128,37 @@ export function getAllFolders(dir, relativeFrom = "") {
     ? folders.map((folder) => relative(relativeFrom, folder))
     : folders;
 }
+
+/**
+ * Find files inside a dir, recursively, skipping `node_modules` and dot dirs.
+ * @param {string} dir - Dir path string.
+ * @param {(file: string) => boolean} filter - Which files to keep.
+ * @return {string[]} - Absolute paths of the files, sorted.
+ */
+export function findFiles(dir, filter) {
+  if (!fs.existsSync(dir) || !isDir(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const name = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return entry.name === "node_modules" || entry.name.startsWith(".")
+          ? []
+          : findFiles(name, filter);
+      }
+      return filter(name) ? [name] : [];
+    })
+    .sort();
+}
+
+/**
+ * Find all Twig templates inside a dir, recursively.
+ * @param {string} dir - Dir path string.
+ * @return {string[]} - Absolute paths of the templates, sorted.
+ */
+export function getAllTemplates(dir) {
+  return findFiles(dir, (file) => file.endsWith(".twig"));
+}
@@ -0,0 +1,210 @@
+import fs from "node:fs";
+import { basename, relative, resolve } from "node:path";
+import { normalizePath } from "vite";
+
+const cssPattern = /\.(css|less|sass|scss|styl|stylus|pcss|postcss|sss)$/;
+const placeholderPattern = /__VITE_TWIG_ASSET_([\w$]+)__/g;
+
+/**
+ * Resolves `vite_asset(path)` and `vite_entry(path)` for the Twig functions.
+ * Paths are relative to the Vite root, or anything Vite can resolve, like aliases.
+ *
+ * - dev: urls the dev server serves the source files at
+ * - build: assets are emitted into the bundle; entries are left as source tags
+ *   for Vite to bundle, hash and preload like any html entry
+ * - otherwise, with a `manifest`: the hashed files from a previous build
+ */
+class ViteAssets {
+  constructor() {
+    this.resolvedConfig = null;
+    this.server = null;
+    this.buildContext = null;
+    this.manifestPath = null;
+    this.manifest = null;
+  }
+
+  /**
+   * @param {object} options
+   * @param {import('vite').ResolvedConfig} options.resolvedConfig - Vite config
+   * @param {string|false} [options.manifest] - Build manifest, relative to the root
+   */
+  configure({ resolvedConfig, manifest = false }) {
+    this.resolvedConfig = resolvedConfig;
+    this.manifestPath = manifest
+      ? resolve(resolvedConfig.root, manifest)
+      : null;
+    this.manifest = null;
+  }
+
+  /**
+   * @param {import('vite').ViteDevServer|null} server - Dev server to resolve with
+   */
+  setServer(server) {
+    this.server = server;
+  }
+
+  /**
+   * @param {import('rollup').PluginContext|null} context - Build to emit assets into
+   */
+  setBuildContext(context) {
+    this.buildContext = context;
+  }
+
+  get base() {
+    return this.resolvedConfig?.base ?? "/";
+  }
+
+  /**
+   * @param {string} path - Source path
+   * @returns {Promise<string>} - Url of the asset
+   */
+  async asset(path) {
+    if (this.server) {
+      return this.toDevUrl(await this.resolveFile(path));
+    }
+
+    if (this.buildContext) {
+      const file = await this.resolveFile(path);
+      const referenceId = this.buildContext.emitFile({
+        type: "asset",
+        name: basename(file),
+        source: fs.readFileSync(file),
+      });
+      // replaced by `replacePlaceholders()` once file names are known
+      return `__VITE_TWIG_ASSET_${referenceId}__`;
+    }
+
+    const chunk = this.getManifest()?.[this.toManifestKey(path)];
+    return chunk ? `${this.base}${chunk.file}` : this.toUrl(path);
+  }
+
+  /**
+   * @param {string} path - Source path of a script or stylesheet entry
+   * @returns {Promise<string>} - Html tags loading the entry
+   */
+  async entry(path) {
+    if (this.server) {
+      return this.createTag(this.toDevUrl(await this.resolveFile(path)));
+    }
+
+    if (this.buildContext) {
+      // Vite bundles it like an entry written in the html itself
+      const file = await this.resolveFile(path);
+      return this.createTag(
+        `/${normalizePath(relative(this.resolvedConfig.root, file))}`,
+      );
+    }
+
+    const manifest = this.getManifest();
+    const key = this.toManifestKey(path);
+    if (!manifest?.[key]) {
+      return this.createTag(this.toUrl(path));
+    }
+
+    const imports = this.getManifestImports(manifest, key);
+    const css = [key, ...imports].flatMap((name) => manifest[name].css ?? []);
+
+    return [
+      ...new Set(css.map((file) => this.createTag(`${this.base}${file}`))),
+      this.createTag(`${this.base}${manifest[key].file}`),
+      ...imports.map(
+        (name) =>
+          `<link rel="modulepreload" href="${this.base}${manifest[name].file}">`,
+      ),
+    ].join("\n");
+  }
+
+  /**
+   * Swap the placeholders `asset()` left in builds for the emitted file names
+   * @param {import('rollup').OutputBundle} bundle - Bundle from `generateBundle`
+   * @param {(referenceId: string) => string} getFileName - Rollup's `this.getFileName`
+   */
+  replacePlaceholders(bundle, getFileName) {
+    const replace = (code) =>
+      code.replace(
+        placeholderPattern,
+        (_, referenceId) => `${this.base}${getFileName(referenceId)}`,
+      );
+
+    Object.values(bundle).forEach((output) => {
+      if (output.type === "chunk") {
+        output.code = replace(output.code);
+      } else if (typeof output.source === "string") {
+        output.source = replace(output.source);
+      }
+    });
+  }
+
+  /**
+   * @param {string} path - Source path
+   * @returns {Promise<string>} - Absolute file path
+   */
+  async resolveFile(path) {
+    const { root } = this.resolvedConfig;
+    const importer = resolve(root, "index.html");
+    const resolved = this.server
+      ? await this.server.environments.client.pluginContainer.resolveId(
+          path,
+          importer,
+        )
+      : await this.buildContext.resolve(path, importer);
+    const file =
+      resolved?.id.split("?")[0] ?? resolve(root, this.toManifestKey(path));
+
+    if (!fs.existsSync(file)) {
+      throw new Error(
+        `Unable to find "${path}" for vite_asset() or vite_entry()`,
+      );
+    }
+    return file;
+  }
+
+  toDevUrl(file) {
+    const path = normalizePath(relative(this.resolvedConfig.root, file));
+    return path.startsWith("../")
+      ? `${this.base}@fs${normalizePath(file).replace(/^\/?/, "/")}`
+      : `${this.base}${path}`;
+  }
+
+  toUrl(path) {
+    return `${this.base}${this.toManifestKey(path)}`;
+  }
+
+  toManifestKey(path) {
+    return normalizePath(path).replace(/^\/+/, "");
+  }
+
+  createTag(url) {
+    return cssPattern.test(url.split("?")[0])
+      ? `<link rel="stylesheet" href="${url}">`
+      : `<script type="module" src="${url}"></script>`;
+  }
+
+  getManifest() {
+    if (!this.manifestPath) {
+      return null;
+    }
+    if (!this.manifest) {
+      this.manifest = JSON.parse(fs.readFileSync(this.manifestPath, "utf8"));
+    }
+    return this.manifest;
+  }
+
+  /**
+   * @param {object} manifest - Build manifest
+   * @param {string} key - Entry
+   * @param {Set<string>} [seen] - Chunks already visited
+   * @returns {string[]} - Chunks the entry imports, directly or not
+   */
+  getManifestImports(manifest, key, seen = new Set()) {
+    (manifest[key].imports ?? []).forEach((name) => {
+      if (!seen.has(name)) {
+        seen.add(name);
+        this.getManifestImports(manifest, name, seen);
+      }
+    });
+    return [...seen];
+  }
+}
+
+export default ViteAssets;
@@ -1,26 +1,65 @@
-import { relative, resolve } from "node:path";
+import { randomUUID } from "node:crypto";
+import { dirname, isAbsolute, relative, resolve } from "node:path";
 import fs from "node:fs";
+import FastGlob from "fast-glob";
 import lodash from "lodash";
-import TwigRenderer from "./twig-renderer.js";
+import { normalizePath } from "vite";
+import TwigRenderer, { vendorDir } from "./twig-renderer.js";
+import DependencyGraph from "./dependency-graph.js";
+import ComponentPreview, { componentPreviewPath } from "./component-preview.js";
+import Collections, { paginate } from "./collections.js";
+import ViteAssets from "./vite-assets.js";
+import TwigImports, {
+  createRuntime,
+  setSsrRender,
+  twigRenderPath,
+  twigRuntimeId,
+} from "./twig-import.js";
+import { defaultPrerenderOptions, prerenderPages } from "./prerender.js";
+import {
+  findDataFiles,
+  getDataPageFormat,
+  loadPageData,
+  parseDataSources,
+} from "./page-data.js";
+import { formatCodeFrame } from "./utils.js";
 import {
   merge,
-  pluginBundle,
   pluginMiddleware,
   pluginReload,
   pluginTransform,
   processData,
 } from "vituum/utils/common.js";
-import { renameBuildEnd, renameBuildStart } from "vituum/utils/build.js";
+import {
+  renameBuildEnd,
+  renameBuildStart,
+  renameGenerateBundle,
+} from "vituum/utils/build.js";
 
 const name = "vite-twig";
-let twigRenderer = null;
+const hmrClientId = "virtual:vite-twig/hmr-client";
+// built in place of the inputs when they are all output templates, as Rollup
+// needs an entry; its chunk is left out of the bundle
+const emptyEntryId = "virtual:vite-twig/empty-entry";
 
 const defaultOptions = {
   reload: true,
   root: null,
+  cache: true,
+  componentPreview: true,
+  lint: true,
+  strictVariables: false,
+  profile: false,
+  environmentOptions: {},
+  manifest: false,
+  prerender: false,
   filters: {},
   functions: {},
+  tests: {},
   extensions: [],
+  // Twig globals; `globals` is the data every page renders with
+  twigGlobals: {},
+  composerAutoload: null,
   namespaces: {},
   alterTwigEnv: [],
   globals: {
@@ -28,6 +67,18 @@ const defaultOptions = {
   },
   data: ["src/data/**/*.json"],
   formats: ["twig", "json.twig", "json"],
+  // templates rendering these instead of html, e.g. `feed.xml.twig`, with
+  // the content type they are served with
+  outputFormats: {
+    json: "application/json",
+    xml: "application/xml",
+    rss: "application/rss+xml",
+    atom: "application/atom+xml",
+    txt: "text/plain",
+    csv: "text/csv",
+    ics: "text/calendar",
+    webmanifest: "application/manifest+json",
+  },
   ignoredPaths: [],
   options: {
     compileOptions: {},
@@ -35,206 +86,936 @@ const defaultOptions = {
   },
 };
 
-const renderTemplate = async (
-  { filename, resolvedConfig },
+/**
+ * @param {string} file - Template file, e.g. `/src/pages/feed.xml.twig`
+ * @param {object} options - Plugin options
+ * @returns {string|null} - Its output format, e.g. `xml`, when it doesn't render html
+ */
+const getOutputFormat = (file, options) => {
+  const [, format] = /\.(\w+)\.twig$/.exec(file) ?? [];
+  return format && Object.hasOwn(options.outputFormats, format) ? format : null;
+};
+
+/**
+ * @param {object} options - Plugin options
+ * @returns {string} - Dir with the pages, see the `prerender.pages` option
+ */
+const getPagesDir = (options) =>
+  resolve(
+    options.root,
+    {
+      ...defaultPrerenderOptions,
+      ...(typeof options.prerender === "object" ? options.prerender : {}),
+    }.pages,
+  );
+
+/**
+ * @param {import('rollup').InputOption} input - `build.rollupOptions.input`
+ * @returns {string[]} - Its files
+ */
+const getInputFiles = (input) =>
+  typeof input === "string" ? [input] : Object.values(input ?? {});
+
+/**
+ * @param {string} file - File or dir
+ * @param {string} dir - Dir
+ * @returns {boolean} - Is `file` the dir or inside of it?
+ */
+const isInDir = (file, dir) => {
+  const path = relative(dir, file);
+  return !path.startsWith("..") && !isAbsolute(path);
+};
+
+/**
+ * @param {string} pathname - Requested url path, e.g. `/feed.xml`
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ * @returns {string|null} - Template rendering it, from the pages dir or the root
+ */
+const findOutputTemplate = (pathname, options, resolvedConfig) => {
+  let path;
+  try {
+    path = `${decodeURIComponent(pathname).replace(/^\/+/, "")}.twig`;
+  } catch {
+    return null;
+  }
+
+  return (
+    [getPagesDir(options), resolvedConfig.root]
+      .map((dir) => [dir, resolve(dir, path)])
+      // `..` mustn't lead out of the dir
+      .filter(([dir, file]) => isInDir(file, dir))
+      .map(([, file]) => file)
+      .find((file) => fs.existsSync(file)) ?? null
+  );
+};
+
+/**
+ * Convert the structured error from a failed render into Vite's error format
+ * @param {object} error - `error` from the render response
+ * @returns {import('vite').ErrorPayload['err']} - Error for the overlay
+ */
+const createRenderError = (error) => {
+  const file = error.file ?? error.name;
+  const message =
+    error.previous && error.previous !== error.message
+      ? `${error.message}\n${error.previous}`
+      : error.message;
+
+  return {
+    message,
+    stack: "",
+    id: file ?? undefined,
+    frame:
+      error.snippet.length > 0
+        ? formatCodeFrame(error.snippet, error.line)
+        : undefined,
+    plugin: name,
+    loc: file && error.line ? { file, line: error.line, column: 1 } : undefined,
+  };
+};
+
+/**
+ * @param {{name: string, template: string, file: string|null, line: number}[]} undefinedVariables - From the render response
+ * @param {string} filename - Page rendered
+ * @param {string} root - Vite root, which paths are shown relative to
+ * @returns {string} - Warning listing where each variable was used
+ */
+const formatUndefinedVariables = (undefinedVariables, filename, root) => {
+  const lines = undefinedVariables.map(({ name: variable, file, line }) => {
+    // string templates are the page itself
+    const location = normalizePath(relative(root, file ?? filename));
+    return `  "${variable}" at ${location}:${line}`;
+  });
+
+  return `${name}: ${normalizePath(relative(root, filename))} uses undefined variable(s):\n${lines.join("\n")}`;
+};
+
+/**
+ * PHP files the render servers load once and keep using: the `alterTwigEnv`
+ * files and the Composer autoloaders, the render server's own and
+ * `composerAutoload`. Templates are not among them, Twig picks
+ * up their changes by itself.
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ * @returns {string[]} - Absolute paths
+ */
+const getPhpFiles = (options, resolvedConfig) => {
+  const autoloaders = [resolve(vendorDir, "autoload.php")];
+  if (options.composerAutoload) {
+    autoloaders.push(resolve(resolvedConfig.root, options.composerAutoload));
+  }
+
+  const autoloadFiles = autoloaders.flatMap((autoloader) => {
+    const composerDir = resolve(autoloader, "..", "composer");
+    return fs.existsSync(composerDir)
+      ? fs
+          .readdirSync(composerDir)
+          .filter((file) => /^(autoload_\w+|installed)\.php$/.test(file))
+          .map((file) => resolve(composerDir, file))
+      : [];
+  });
+
+  return [
+    ...options.alterTwigEnv.map(({ file }) =>
+      resolve(resolvedConfig.root, file),
+    ),
+    ...autoloaders,
+    ...autoloadFiles,
+  ].map((file) => normalizePath(file));
+};
+
+/**
+ * Log the slowest pages and templates and write the Chrome trace, when
+ * profiling. Called before the renderer stops.
+ * @param {TwigRenderer} renderer - Renderer
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ */
+const reportProfile = async (renderer, options, resolvedConfig) => {
+  const profiler = renderer.profiler;
+  if (!profiler || profiler.renders.length === 0) {
+    return;
+  }
+
+  const { limit = 10, trace = null } =
+    typeof options.profile === "object" ? options.profile : {};
+  resolvedConfig.logger.info(profiler.formatReport(limit));
+
+  if (trace) {
+    const file = resolve(resolvedConfig.root, trace);
+    await profiler.writeChromeTrace(file);
+    resolvedConfig.logger.info(`Twig profile trace written to ${file}`);
+  }
+  profiler.reset();
+};
+
+/**
+ * The templates to lint: those of the roots and namespaces, less the
+ * `ignoredPaths` and what only sits in the root, like the build output, the
+ * public dir and Composer's vendor dir
+ * @param {TwigRenderer} renderer - Started renderer
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ * @returns {Promise<string[]>} - Template names
+ */
+const findLintedTemplates = async (renderer, options, resolvedConfig) => {
+  const namespaceDirs = Object.values(options.namespaces)
+    .flat()
+    .map((dir) => resolve(options.root, dir));
+  const skippedDirs = [
+    resolve(resolvedConfig.root, resolvedConfig.build.outDir),
+    resolvedConfig.publicDir,
+    options.composerAutoload
+      ? dirname(resolve(resolvedConfig.root, options.composerAutoload))
+      : resolve(resolvedConfig.root, "vendor"),
+  ].filter(
+    // unless a namespace points into them
+    (dir) =>
+      dir && !namespaceDirs.some((namespaceDir) => isInDir(namespaceDir, dir)),
+  );
+  const ignoredFiles = new Set(
+    FastGlob.sync(
+      options.ignoredPaths.map((path) => path.replace(/^\/+/, "")),
+      { cwd: options.root, absolute: true },
+    ).map((file) => resolve(file)),
+  );
+
+  return (await renderer.getTemplates())
+    .filter(
+      ({ file }) =>
+        !ignoredFiles.has(file) &&
+        !skippedDirs.some((dir) => isInDir(file, dir)),
+    )
+    .map(({ name }) => name);
+};
+
+/**
+ * Fail the build before any page renders when a template does not compile
+ * @param {import('rollup').PluginContext} context - Build context
+ * @param {TwigRenderer} renderer - Started renderer
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ */
+const lintTemplates = async (context, renderer, options, resolvedConfig) => {
+  const templates = await findLintedTemplates(
+    renderer,
+    options,
+    resolvedConfig,
+  );
+  if (templates.length === 0) {
+    return;
+  }
+
+  const results = await renderer.lint(templates);
+  if (results.ok) {
+    return;
+  }
+  if (!results.errors) {
+    context.error(results.message);
+  }
+
+  const errors = results.errors.map((error) => {
+    const location = error.line
+      ? `${error.file ?? error.template}:${error.line}`
+      : (error.file ?? error.template);
+    const frame =
+      error.snippet.length > 0
+        ? `\n${formatCodeFrame(error.snippet, error.line)}`
+        : "";
+    return `${location}: ${error.message}${frame}`;
+  });
+
+  context.error(`${results.message}:\n\n${errors.join("\n\n")}`);
+};
+
+/**
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ * @returns {Set<string>} - Files of the `data` globs, globbed the way `processData()` does
+ */
+const findGlobalDataFiles = (options, resolvedConfig) =>
+  new Set(
+    FastGlob.sync(
+      [options.data]
+        .flat()
+        .filter((data) => typeof data === "string")
+        .map((path) => normalizePath(path)),
+    ).map((entry) => resolve(resolvedConfig.root, entry)),
+  );
+
+/**
+ * The data every page renders with: the `globals` option merged with the
+ * JSON files of the `data` globs. The renderer holds it as Twig globals, so
+ * pages only send their own data.
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ * @returns {{data: object, files: Set<string>}} - Global data and the files it was read from
+ */
+const loadGlobalData = (options, resolvedConfig) => {
+  const paths = [options.data]
+    .flat()
+    .filter((data) => typeof data === "string");
+  if (paths.length === 0) {
+    return { data: lodash.cloneDeep(options.globals), files: new Set() };
+  }
+
+  return {
+    data: processData({ paths, root: resolvedConfig.root }, options.globals),
+    files: findGlobalDataFiles(options, resolvedConfig),
+  };
+};
+
+/**
+ * Create the TwigRenderer of a plugin instance
+ * @param {object} options - Plugin options
+ * @param {import('vite').ResolvedConfig} resolvedConfig - Vite config
+ * @param {ViteAssets} viteAssets - Resolves `vite_asset()` and `vite_entry()`
+ * @returns {TwigRenderer} - Renderer, not started yet
+ */
+const createTwigRenderer = (options, resolvedConfig, viteAssets) => {
+  const namespaceConfig = [];
+
+  // Convert namespaces object to the format expected by TwigRenderer
+  if (options.namespaces) {
+    Object.keys(options.namespaces).forEach((id) => {
+      const paths = Array.isArray(options.namespaces[id])
+        ? options.namespaces[id]
+        : [options.namespaces[id]];
+
+      namespaceConfig.push({
+        id,
+        paths: paths.map((p) =>
+          relative(resolvedConfig.root, resolve(options.root, p)),
+        ),
+      });
+    });
+  }
+
+  // Process alterTwigEnv configuration
+  let alterTwigEnvConfig = [];
+  if (options.alterTwigEnv && options.alterTwigEnv.length > 0) {
+    alterTwigEnvConfig = options.alterTwigEnv.map((config) => {
+      // TwigRenderer will resolve relative paths from relativeFrom directory
+      // So we just pass the path as configured (relative to project root)
+      const filePath = config.file;
+
+      // Check if the file exists (only in verbose mode)
+      if (options.verbose) {
+        const absolutePath = resolve(resolvedConfig.root, filePath);
+        if (!fs.existsSync(absolutePath)) {
+          console.error(`alterTwigEnv file not found: ${absolutePath}`);
+        } else {
+          console.log(`alterTwigEnv file found: ${absolutePath}`);
+        }
+      }
+
+      return {
+        file: filePath, // Pass relative path, TwigRenderer will resolve it
+        functions: config.functions || [],
+      };
+    });
+  }
+
+  const config = {
+    src: {
+      roots: [relative(resolvedConfig.root, options.root)],
+      namespaces: namespaceConfig.length > 0 ? namespaceConfig : undefined,
+    },
+    relativeFrom: resolvedConfig.root,
+    debug: options.debug !== undefined ? options.debug : true,
+    autoescape: options.autoescape !== undefined ? options.autoescape : false,
+    strictVariables: options.strictVariables,
+    environmentOptions: options.environmentOptions,
+    profile: Boolean(options.profile),
+    filters: options.filters,
+    functions: options.functions,
+    tests: options.tests,
+    extensions: options.extensions,
+    globals: options.twigGlobals,
+    composerAutoload: options.composerAutoload ?? undefined,
+    assetResolver: {
+      asset: (path) => viteAssets.asset(path),
+      entry: (path) => viteAssets.entry(path),
+    },
+    // `true` keeps compiled templates alongside Vite's own cache
+    cache:
+      options.cache === true
+        ? resolve(resolvedConfig.cacheDir, name)
+        : options.cache,
+    autoReload: resolvedConfig.command === "serve",
+    phpBinary: options.phpBinary,
+    memoryLimit: options.memoryLimit,
+    ini: options.ini,
+    env: options.env,
+    transport: options.transport,
+    workers: options.workers,
+    requestTimeout: options.requestTimeout,
+    retries: options.retries,
+    // stopped with the dev server, or once the build is done
+    keepAlive: true,
+    verbose: options.verbose !== undefined ? options.verbose : false,
+    logger: resolvedConfig.logger,
+  };
+
+  // Add alterTwigEnv if configured
+  if (alterTwigEnvConfig.length > 0) {
+    config.alterTwigEnv = alterTwigEnvConfig;
+    if (options.verbose) {
+      console.log("alterTwigEnv config:", alterTwigEnvConfig);
+    }
+  }
+
+  if (options.verbose) {
+    console.log("TwigRenderer config:", JSON.stringify(config, null, 2));
+  }
+  return new TwigRenderer(config);
+};
+
+/**
+ * Collect the data a page is rendered with and the template to render it with
+ * @param {object} page
+ * @param {string} page.filename - Page source file, without `.html`
+ * @param {import('vite').ViteDevServer} [page.server] - Vite dev server
+ * @param {import('vite').ResolvedConfig} page.resolvedConfig - Vite config
+ * @param {() => Promise<TwigRenderer>} page.getRenderer - Returns the started renderer
+ * @param {() => object} page.getGlobalData - Returns the data every page renders with
+ * @param {string} content - Page source
+ * @param {object} options - Plugin options
+ * @returns {Promise<{context: object, templatePath: string|null, dataPageFormat: string|null, dependencies: string[]}>} - Page data, without the global data
+ */
+const loadPage = async (
+  { filename, server, resolvedConfig, getRenderer, getGlobalData },
   content,
   options,
 ) => {
-  const initialFilename = filename.replace(".html", "");
-  const output = {};
-  const context = options.data
-    ? processData(
-        {
-          paths: options.data,
-          root: resolvedConfig.root,
-        },
-        options.globals,
-      )
-    : options.globals;
+  // files besides the Twig templates themselves that the page depends on
+  const dependencies = [filename];
+  // `data` globs are global data, see `loadGlobalData()`
+  const dataProviders = [options.data]
+    .flat()
+    .filter((data) => typeof data === "function");
+  // only the page's own data, the renderer merges it over the global data
+  const context = {};
 
+  const renderer = await getRenderer();
+  const dataPageFormat = getDataPageFormat(filename);
   let templatePath = null;
 
-  if (initialFilename.endsWith(".json")) {
-    lodash.merge(context, JSON.parse(content));
+  // Precedence, lowest first: global data, sibling data files, `data`
+  // functions, then the page's data module
+  if (dataPageFormat) {
+    const [pageData] = await parseDataSources(renderer, [
+      { format: dataPageFormat, content, file: filename },
+    ]);
+    lodash.merge(context, pageData);
 
-    if (!options.formats.includes(context.format)) {
-      return new Promise((resolve) => {
-        output.content = content;
-        resolve(output);
-      });
+    if (typeof context.template !== "undefined") {
+      // Resolve template path for data pages
+      const resolvedTemplate = relative(
+        resolvedConfig.root,
+        context.template,
+      ).startsWith(relative(resolvedConfig.root, options.root))
+        ? resolve(resolvedConfig.root, context.template)
+        : resolve(options.root, context.template);
+      templatePath = relative(options.root, resolvedTemplate);
     }
+  } else {
+    const dataFiles = findDataFiles(filename);
+    dependencies.push(...dataFiles.map(({ file }) => file));
+    (await parseDataSources(renderer, dataFiles)).forEach((data) =>
+      lodash.merge(context, data),
+    );
 
-    if (typeof context.template === "undefined") {
-      const error = `${name}: template must be defined for file ${initialFilename}`;
-
-      return new Promise((resolve) => {
-        output.error = error;
-        resolve(output);
-      });
-    }
+    // For regular twig files, use the relative path from root
+    templatePath = relative(options.root, filename);
+  }
 
-    // Resolve template path for JSON files
-    const resolvedTemplate = relative(
-      resolvedConfig.root,
-      context.template,
-    ).startsWith(relative(resolvedConfig.root, options.root))
-      ? resolve(resolvedConfig.root, context.template)
-      : resolve(options.root, context.template);
-    templatePath = relative(options.root, resolvedTemplate);
-  } else if (fs.existsSync(initialFilename + ".json")) {
-    lodash.merge(
+  dependencies.push(
+    ...(await loadPageData({
+      providers: dataProviders,
+      filename,
+      templatePath,
       context,
-      JSON.parse(fs.readFileSync(`${initialFilename}.json`).toString()),
+      globalData: getGlobalData(),
+      server,
+    })),
+  );
+
+  return { context, templatePath, dataPageFormat, dependencies };
+};
+
+/**
+ * Load a page and decide how it is rendered, see `renderTemplate()`
+ * @param {object} page - As for `renderTemplate()`
+ * @param {string} content - Page source
+ * @param {object} options - Plugin options
+ * @returns {Promise<{job?: import('../types/index.js').RenderJob, dependencies?: string[], output?: {content?: string, error?: string}}>} - Its render job, or its output when there is nothing to render
+ */
+const preparePage = async (
+  {
+    filename,
+    server,
+    resolvedConfig,
+    getRenderer,
+    getGlobalData,
+    pageNumber = 1,
+  },
+  content,
+  options,
+) => {
+  const initialFilename = filename.replace(".html", "");
+  let page;
+
+  try {
+    page = await loadPage(
+      {
+        filename: initialFilename,
+        server,
+        resolvedConfig,
+        getRenderer,
+        getGlobalData,
+      },
+      content,
+      options,
     );
-    // For regular twig files, use the relative path from root
-    templatePath = relative(options.root, filename.replace(".html", ""));
-  } else {
-    // For regular twig files without JSON data
-    templatePath = relative(options.root, filename.replace(".html", ""));
+  } catch (error) {
+    return {
+      output: {
+        error: `${name}: unable to read data for ${initialFilename}. ${error.message}`,
+      },
+    };
   }
 
-  // Initialize TwigRenderer if not already done
-  if (!twigRenderer) {
-    const namespaceConfig = [];
-
-    // Convert namespaces object to the format expected by TwigRenderer
-    if (options.namespaces) {
-      Object.keys(options.namespaces).forEach((id) => {
-        const paths = Array.isArray(options.namespaces[id])
-          ? options.namespaces[id]
-          : [options.namespaces[id]];
-
-        namespaceConfig.push({
-          id,
-          paths: paths.map((p) =>
-            relative(resolvedConfig.root, resolve(options.root, p)),
-          ),
-        });
-      });
+  const { context, templatePath, dataPageFormat, dependencies } = page;
+
+  if (dataPageFormat) {
+    // `format` and the collection to paginate can come from the global data
+    const pageData = lodash.merge({}, getGlobalData(), context);
+
+    if (!options.formats.includes(pageData.format)) {
+      return { output: { content } };
     }
 
-    // Process alterTwigEnv configuration
-    let alterTwigEnvConfig = [];
-    if (options.alterTwigEnv && options.alterTwigEnv.length > 0) {
-      alterTwigEnvConfig = options.alterTwigEnv.map((config) => {
-        // TwigRenderer will resolve relative paths from relativeFrom directory
-        // So we just pass the path as configured (relative to project root)
-        const filePath = config.file;
-
-        // Check if the file exists (only in verbose mode)
-        if (options.verbose) {
-          const absolutePath = resolve(resolvedConfig.root, filePath);
-          if (!fs.existsSync(absolutePath)) {
-            console.error(`alterTwigEnv file not found: ${absolutePath}`);
-          } else {
-            console.log(`alterTwigEnv file found: ${absolutePath}`);
-          }
-        }
+    if (typeof context.template === "undefined") {
+      return {
+        output: {
+          error: `${name}: template must be defined for file ${initialFilename}`,
+        },
+      };
+    }
 
+    if (context.paginate) {
+      try {
+        Object.assign(context, paginate(pageData, pageNumber));
+      } catch (error) {
         return {
-          file: filePath, // Pass relative path, TwigRenderer will resolve it
-          functions: config.functions || [],
+          output: { error: `${name}: ${initialFilename}: ${error.message}` },
         };
-      });
+      }
     }
+  }
 
-    const config = {
-      src: {
-        roots: [relative(resolvedConfig.root, options.root)],
-        namespaces: namespaceConfig.length > 0 ? namespaceConfig : undefined,
-      },
-      relativeFrom: resolvedConfig.root,
-      debug: options.debug !== undefined ? options.debug : true,
-      autoescape: options.autoescape !== undefined ? options.autoescape : false,
-      keepAlive: false, // Ensure server restarts for each batch
-      verbose: options.verbose !== undefined ? options.verbose : false,
-    };
+  // data pages render their template, other pages are the template
+  const job =
+    dataPageFormat && context.template
+      ? { template: templatePath, data: context }
+      : {
+          string: content,
+          data: context,
+          name: normalizePath(relative(resolvedConfig.root, initialFilename)),
+        };
 
-    // Add alterTwigEnv if configured
-    if (alterTwigEnvConfig.length > 0) {
-      config.alterTwigEnv = alterTwigEnvConfig;
-      if (options.verbose) {
-        console.log("alterTwigEnv config:", alterTwigEnvConfig);
+  return { job, dependencies };
+};
+
+/**
+ * Turn what the renderer returned for a page into its output
+ * @param {object} page - As for `renderTemplate()`
+ * @param {import('../types/index.js').RenderResults} [results] - Render results
+ * @param {string[]} dependencies - Files besides the templates the page depends on
+ * @param {object} options - Plugin options
+ * @returns {{content?: string, error?: string, dependencies?: string[]}} - Rendered page
+ */
+const createOutput = (
+  { filename, server, resolvedConfig },
+  results,
+  dependencies,
+  options,
+) => {
+  const initialFilename = filename.replace(".html", "");
+  const output = {};
+
+  if (options.verbose) {
+    console.log("Render results:", {
+      ok: results?.ok,
+      hasHtml: !!results?.html,
+      message: results?.message,
+    });
+  }
+
+  if (results) {
+    output.dependencies = [...dependencies, ...(results.dependencies ?? [])];
+  }
+
+  if (results && results.ok) {
+    output.content = results.html || "";
+
+    if (results.undefinedVariables?.length > 0) {
+      const message = formatUndefinedVariables(
+        results.undefinedVariables,
+        initialFilename,
+        resolvedConfig.root,
+      );
+      if (server) {
+        resolvedConfig.logger.warn(message, { timestamp: true });
+      } else {
+        // a page referencing data it doesn't have fails the build
+        output.error = message;
       }
     }
+  } else if (results?.error) {
+    const error = createRenderError(results.error);
 
-    try {
-      if (options.verbose) {
-        console.log("TwigRenderer config:", JSON.stringify(config, null, 2));
-      }
-      twigRenderer = new TwigRenderer(config);
-      await twigRenderer.init();
-    } catch (error) {
-      console.error("Failed to initialize TwigRenderer:", error);
-      throw error;
+    if (server) {
+      // sent directly, as vituum's overlay would only carry the message
+      setTimeout(() => server.ws.send({ type: "error", err: error }), 50);
+    } else {
+      output.error = [
+        error.message,
+        error.loc && `${error.loc.file}:${error.loc.line}`,
+        error.frame,
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+    }
+    if (options.verbose) {
+      console.error("Render error:", error.message);
+    }
+  } else if (results) {
+    output.error = results.message || "Unknown error during rendering";
+    if (options.verbose) {
+      console.error("Render error:", output.error);
+    }
+  } else {
+    output.error = "No response from TwigRenderer";
+    if (options.verbose) {
+      console.error("No response from TwigRenderer");
     }
   }
 
-  return new Promise(async (resolve) => {
-    try {
-      let results;
+  return output;
+};
 
-      if (initialFilename.endsWith(".json") && context.template) {
-        // For JSON files, render the specified template
-        if (options.verbose) {
-          console.log("Rendering template:", templatePath);
-        }
-        results = await twigRenderer.render(templatePath, context);
-      } else {
-        // For regular twig files, render as string with the content
-        if (options.verbose) {
-          console.log("Rendering string template");
-        }
-        results = await twigRenderer.renderString(content, context);
-      }
+/**
+ * Render a page
+ * @param {object} page
+ * @param {string} page.filename - Page source file, with `.html`
+ * @param {import('vite').ViteDevServer} [page.server] - Vite dev server
+ * @param {import('vite').ResolvedConfig} page.resolvedConfig - Vite config
+ * @param {() => Promise<TwigRenderer>} page.getRenderer - Returns the started renderer
+ * @param {() => object} page.getGlobalData - Returns the data every page renders with
+ * @param {number} [page.pageNumber] - Page of a paginated data page
+ * @param {string} content - Page source
+ * @param {object} options - Plugin options
+ * @returns {Promise<{content?: string, error?: string, dependencies?: string[]}>} - Rendered page
+ */
+const renderTemplate = async (page, content, options) => {
+  const { job, dependencies, output } = await preparePage(
+    page,
+    content,
+    options,
+  );
+  if (output) {
+    return output;
+  }
 
-      if (options.verbose) {
-        console.log("Render results:", {
-          ok: results?.ok,
-          hasHtml: !!results?.html,
-          message: results?.message,
-        });
-      }
+  const renderer = await page.getRenderer();
 
-      if (results && results.ok) {
-        output.content = results.html || "";
-      } else if (results) {
-        output.error = results.message || "Unknown error during rendering";
-        if (options.verbose) {
-          console.error("Render error:", output.error);
-        }
-      } else {
-        output.error = "No response from TwigRenderer";
-        if (options.verbose) {
-          console.error("No response from TwigRenderer");
-        }
+  try {
+    let results;
+
+    if (job.template !== undefined) {
+      // For data pages, render the specified template
+      if (options.verbose) {
+        console.log("Rendering template:", job.template);
       }
-    } catch (error) {
-      output.error = error.message || error.toString();
+      results = await renderer.render(job.template, job.data);
+    } else {
+      // For regular twig files, render as string with the content
       if (options.verbose) {
-        console.error("Caught error during rendering:", error);
+        console.log("Rendering string template");
       }
+      results = await renderer.renderString(job.string, job.data, job.name);
     }
 
-    resolve(output);
-  });
+    return createOutput(page, results, dependencies, options);
+  } catch (error) {
+    if (options.verbose) {
+      console.error("Caught error during rendering:", error);
+    }
+    return { error: error.message || error.toString() };
+  }
 };
 
 /**
- * @param {import('@vituum/vite-plugin-twig/types').PluginUserConfig} options
- * @returns [import('vite').Plugin]
+ * Render pages with one batch request per render server instead of one
+ * request per page, see `renderTemplate()`
+ * @param {{page: object, content: string}[]} pages - Each page as for `renderTemplate()`, and its source
+ * @param {object} options - Plugin options
+ * @returns {Promise<{content?: string, error?: string, dependencies?: string[]}[]>} - Rendered pages, in the order of `pages`
+ */
+const renderTemplates = async (pages, options) => {
+  if (pages.length === 0) {
+    return [];
+  }
+
+  const prepared = await Promise.all(
+    pages.map(({ page, content }) => preparePage(page, content, options)),
+  );
+  const renderer = await pages[0].page.getRenderer();
+  let results;
+
+  try {
+    results = await renderer.renderBatch(
+      prepared.filter(({ job }) => job).map(({ job }) => job),
+    );
+  } catch (error) {
+    return prepared.map(
+      ({ output }) => output ?? { error: error.message || error.toString() },
+    );
+  }
+
+  let next = 0;
+  return prepared.map(
+    ({ output, dependencies }, index) =>
+      output ??
+      createOutput(pages[index].page, results[next++], dependencies, options),
+  );
+};
+
+/**
+ * @param {import('../types/index.js').PluginUserConfig} options
+ * @returns {import('vite').Plugin[]} - Plugins
  */
 const plugin = (options = {}) => {
   let resolvedConfig;
   let userEnv;
+  let collections;
+  let twigImports;
+  // module ids of the paginated pages added as html inputs during builds
+  const collectionIds = new Set();
+  // templates in `outputFormats`, taken out of the html inputs of the build
+  let outputTemplates = [];
+  // changes to these restart the render servers, see `getPhpFiles()`
+  let phpFiles = new Set();
+  const dependencyGraph = new DependencyGraph();
+  // every plugin instance has its own renderer, started on first use
+  const viteAssets = new ViteAssets();
+  let twigRenderer = null;
+  let startingRenderer = null;
+  // tells this instance's SSR modules apart, see `setSsrRender()`
+  const instanceId = randomUUID();
+
+  // merged into a copy, `merge()` changes its target
+  options = merge(lodash.cloneDeep(defaultOptions), options);
+
+  // see `loadGlobalData()`; loaded on first use, again when a data file changes
+  let globalData = null;
+
+  /**
+   * @returns {object} - The data every page renders with
+   */
+  const getGlobalData = () => {
+    globalData ??= loadGlobalData(options, resolvedConfig);
+    return globalData.data;
+  };
+
+  /**
+   * Load the global data again if `file` is one of its files, and send it to
+   * the running renderer
+   * @param {string} file - Changed, added or removed file
+   */
+  const updateGlobalData = async (file) => {
+    const isDataFile =
+      globalData?.files.has(file) ||
+      // a new data file
+      (globalData &&
+        file.endsWith(".json") &&
+        findGlobalDataFiles(options, resolvedConfig).has(file));
+    if (!isDataFile) {
+      return;
+    }
+
+    resolvedConfig.logger.info(
+      `${name}: ${normalizePath(relative(resolvedConfig.root, file))} changed, updating the global data`,
+      { timestamp: true },
+    );
+    globalData = null;
+    try {
+      await twigRenderer?.setGlobals(getGlobalData());
+    } catch (error) {
+      resolvedConfig.logger.error(
+        `${name}: unable to update the global data. ${error.message}`,
+        { timestamp: true },
+      );
+    }
+  };
+
+  /**
+   * @returns {Promise<TwigRenderer>} - The started renderer
+   */
+  const getRenderer = () => {
+    if (!startingRenderer) {
+      const renderer = createTwigRenderer(options, resolvedConfig, viteAssets);
+      twigRenderer = renderer;
+      startingRenderer = (async () => {
+        await renderer.setGlobals(getGlobalData());
+        await renderer.start();
+      })().then(
+        () => renderer,
+        (error) => {
+          console.error("Failed to initialize TwigRenderer:", error);
+          twigRenderer = null;
+          startingRenderer = null;
+          throw error;
+        },
+      );
+    }
+    return startingRenderer;
+  };
+
+  /**
+   * Report the profile and stop the renderer; the next render starts a new one
+   */
+  const stopRenderer = async () => {
+    if (!twigRenderer) {
+      return;
+    }
+
+    const renderer = twigRenderer;
+    twigRenderer = null;
+    startingRenderer = null;
+
+    await reportProfile(renderer, options, resolvedConfig);
+    if (options.verbose) {
+      console.log("TwigRenderer stats:", renderer.getStats());
+    }
+    await renderer.stop();
+  };
 
-  options = merge(defaultOptions, options);
+  /**
+   * @param {string} file - Template file, e.g. `/src/pages/feed.xml.twig`
+   * @returns {string} - File it is built to, e.g. `feed.xml`; relative to the pages dir, like the pages
+   */
+  const getOutputFileName = (file) => {
+    const name = relative(getPagesDir(options), file);
+    return normalizePath(
+      name.startsWith("..") ? relative(resolvedConfig.root, file) : name,
+    ).replace(/\.twig$/, "");
+  };
+
+  /**
+   * Prerender all pages into the out dir, see `prerenderPages()`
+   * @param {object} [overrides] - Overrides for the `prerender` option
+   * @returns {Promise<string[]>} - Files written, relative to the out dir
+   */
+  const prerender = async (overrides = {}) => {
+    const outDir =
+      overrides.outDir ??
+      options.prerender?.outDir ??
+      defaultPrerenderOptions.outDir ??
+      resolvedConfig.build.outDir;
+    const manifest =
+      options.manifest ||
+      resolve(resolvedConfig.root, outDir, ".vite/manifest.json");
+
+    viteAssets.configure({
+      resolvedConfig,
+      manifest: fs.existsSync(resolve(resolvedConfig.root, manifest))
+        ? manifest
+        : false,
+    });
+
+    return prerenderPages({
+      options,
+      resolvedConfig,
+      collections,
+      prerender: overrides,
+      renderPages: (pages) =>
+        renderTemplates(
+          pages.map(({ file, content, pageNumber }) => ({
+            page: {
+              filename: `${file}.html`,
+              resolvedConfig,
+              getRenderer,
+              getGlobalData,
+              pageNumber,
+            },
+            content,
+          })),
+          options,
+        ),
+    });
+  };
 
   return [
     {
       name,
-      config(_, env) {
+      api: {
+        prerender,
+        stop: stopRenderer,
+      },
+      config(userConfig, env) {
         userEnv = env;
+
+        // e.g. `feed.xml.twig` is built to `feed.xml`, not through the html
+        // pipeline, see `buildStart()`
+        const input = userConfig.build?.rollupOptions?.input;
+        if (env.command === "build" && input) {
+          const isOutputTemplate = (file) =>
+            getOutputFormat(file.replace(/\.html$/, ""), options) !== null;
+          // prerendering renders the pages itself, so only scripts and
+          // styles are left to bundle
+          const isPage = (file) =>
+            options.prerender &&
+            options.formats.some((format) =>
+              file.replace(/\.html$/, "").endsWith(`.${format}`),
+            );
+          const isTakenOut = (file) => isOutputTemplate(file) || isPage(file);
+          outputTemplates = getInputFiles(input)
+            .filter(isOutputTemplate)
+            .map((file) => file.replace(/\.html$/, ""));
+
+          // a file, a list of files or files by entry name
+          if (typeof input === "string") {
+            userConfig.build.rollupOptions.input = isTakenOut(input)
+              ? []
+              : input;
+          } else if (Array.isArray(input)) {
+            userConfig.build.rollupOptions.input = input.filter(
+              (file) => !isTakenOut(file),
+            );
+          } else {
+            userConfig.build.rollupOptions.input = lodash.omitBy(
+              input,
+              isTakenOut,
+            );
+          }
+
+          if (
+            getInputFiles(userConfig.build.rollupOptions.input).length === 0
+          ) {
+            userConfig.build.rollupOptions.input = [emptyEntryId];
+          }
+        }
+
+        if (options.prerender && env.command === "build") {
+          // lets prerendered pages link the hashed assets
+          return {
+            build: { manifest: userConfig.build?.manifest ?? true },
+          };
+        }
       },
       configResolved(config) {
         resolvedConfig = config;
@@ -242,56 +1023,459 @@ const plugin = (options = {}) => {
         if (!options.root) {
           options.root = config.root;
         }
+
+        viteAssets.configure({
+          resolvedConfig: config,
+          manifest: options.manifest,
+        });
+        phpFiles = new Set(getPhpFiles(options, config));
+
+        twigImports = new TwigImports({
+          options,
+          getRenderer,
+        });
+
+        collections = new Collections({
+          dir: getPagesDir(options),
+          root: config.root,
+          formats: options.formats,
+          logger: config.logger,
+          // the collection to paginate can come from the global data
+          loadContext: async (file, content) =>
+            lodash.merge(
+              {},
+              getGlobalData(),
+              (
+                await loadPage(
+                  {
+                    filename: file,
+                    resolvedConfig: config,
+                    getRenderer,
+                    getGlobalData,
+                  },
+                  content,
+                  options,
+                )
+              ).context,
+            ),
+        });
+      },
+      configureServer(server) {
+        viteAssets.setServer(server);
+        server.httpServer?.once("close", () => viteAssets.setServer(null));
+
+        // pages can come from any data the collections are built from
+        server.watcher.on("all", () => collections.invalidate());
+        // changes go through `handleHotUpdate()`, new and removed files don't
+        server.watcher.on("add", updateGlobalData);
+        server.watcher.on("unlink", updateGlobalData);
+
+        server.watcher.add([...phpFiles]);
+
+        // `.twig` imports render through these
+        setSsrRender(
+          instanceId,
+          async (template, data) =>
+            (await twigImports.render(template, data)).html,
+        );
+        server.httpServer?.once("close", () => setSsrRender(instanceId, null));
+        server.middlewares.use(
+          `${resolvedConfig.base}${twigRenderPath}`,
+          (req, res, next) => twigImports.handle(req, res, next),
+        );
+
+        // serves the extra pages of paginated data pages at their permalinks
+        server.middlewares.use(async (req, res, next) => {
+          try {
+            const { pathname } = new URL(req.url, "http://localhost");
+            const base = resolvedConfig.base;
+            const page = pathname.startsWith(base)
+              ? await collections.match(`/${pathname.slice(base.length)}`)
+              : null;
+
+            if (!page) {
+              next();
+              return;
+            }
+
+            const output = await renderTemplate(
+              {
+                filename: `${page.file}.html`,
+                server,
+                resolvedConfig,
+                getRenderer,
+                getGlobalData,
+                pageNumber: page.pageNumber,
+              },
+              page.content,
+              options,
+            );
+            if (output.error) {
+              throw new Error(output.error);
+            }
+
+            res.statusCode = 200;
+            res.setHeader("Content-Type", "text/html; charset=utf-8");
+            res.end(await server.transformIndexHtml(req.url, output.content));
+          } catch (error) {
+            next(error);
+          }
+        });
+
+        if (!options.componentPreview) {
+          return;
+        }
+
+        const preview = new ComponentPreview({ server, getRenderer });
+        server.middlewares.use((req, res, next) =>
+          preview.handle(req, res, next),
+        );
+
+        const { printUrls } = server;
+        server.printUrls = () => {
+          printUrls();
+          server.config.logger.info(
+            `  ➜  Twig components: ${server.resolvedUrls?.local[0] ?? "/"}${componentPreviewPath}`,
+          );
+        };
+      },
+      generateBundle: {
+        order: "post",
+        handler(_, bundle) {
+          viteAssets.replacePlaceholders(bundle, (referenceId) =>
+            this.getFileName(referenceId),
+          );
+
+          Object.values(bundle)
+            .filter((chunk) => chunk.facadeModuleId === `\0${emptyEntryId}`)
+            .forEach(({ fileName }) => delete bundle[fileName]);
+        },
       },
       closeBundle: async () => {
-        // Clean up TwigRenderer server when build is complete
-        if (twigRenderer) {
-          twigRenderer.stop();
-          twigRenderer = null;
+        viteAssets.setBuildContext(null);
+        setSsrRender(instanceId, null);
+
+        if (options.prerender && userEnv.command === "build") {
+          await prerender();
         }
+
+        // the dev server closing ends up here as well
+        await stopRenderer();
       },
-      buildStart: async () => {
-        if (
-          userEnv.command !== "build" ||
-          !resolvedConfig.build.rollupOptions.input
-        ) {
+      async buildStart() {
+        if (userEnv.command !== "build") {
           return;
         }
 
-        await renameBuildStart(
-          resolvedConfig.build.rollupOptions.input,
-          options.formats,
-        );
+        viteAssets.setBuildContext(this);
+        if (resolvedConfig.build.ssr) {
+          setSsrRender(
+            instanceId,
+            async (template, data) =>
+              (await twigImports.render(template, data)).html,
+          );
+        }
+
+        if (options.lint) {
+          await lintTemplates(
+            this,
+            await getRenderer(),
+            options,
+            resolvedConfig,
+          );
+        }
+
+        // prerendering finds the pages itself, no need to rename them
+        if (resolvedConfig.build.rollupOptions.input && !options.prerender) {
+          await renameBuildStart(
+            getInputFiles(resolvedConfig.build.rollupOptions.input),
+            options.formats,
+          );
+        }
+
+        // prerendering writes these itself
+        if (!options.prerender) {
+          for (const file of outputTemplates) {
+            const output = await renderTemplate(
+              {
+                filename: `${file}.html`,
+                resolvedConfig,
+                getRenderer,
+                getGlobalData,
+              },
+              await fs.promises.readFile(file, "utf8"),
+              options,
+            );
+            if (output.error) {
+              this.error(output.error);
+            }
+
+            this.addWatchFile(file);
+            output.dependencies?.forEach((dependency) =>
+              this.addWatchFile(dependency),
+            );
+            this.emitFile({
+              type: "asset",
+              fileName: getOutputFileName(file),
+              source: output.content,
+            });
+          }
+        }
+
+        // every page of a paginated data page is built like an html input,
+        // unless prerendering writes them
+        collections.invalidate();
+        collectionIds.clear();
+        if (options.prerender) {
+          return;
+        }
+        for (const id of await collections.getIds()) {
+          collectionIds.add(id);
+          this.emitFile({ type: "chunk", id });
+        }
       },
       buildEnd: async () => {
         if (
           userEnv.command !== "build" ||
-          !resolvedConfig.build.rollupOptions.input
+          !resolvedConfig.build.rollupOptions.input ||
+          options.prerender
         ) {
           return;
         }
 
         await renameBuildEnd(
-          resolvedConfig.build.rollupOptions.input,
+          getInputFiles(resolvedConfig.build.rollupOptions.input),
           options.formats,
         );
       },
+      resolveId(id) {
+        if (id.startsWith(`\0${hmrClientId}`) || collectionIds.has(id)) {
+          return id;
+        }
+        if (id === twigRuntimeId || id === emptyEntryId) {
+          return `\0${id}`;
+        }
+      },
+      async load(id) {
+        if (collectionIds.has(id)) {
+          return (await collections.getPageById(id)).content;
+        }
+        if (id === `\0${twigRuntimeId}`) {
+          return createRuntime(instanceId);
+        }
+        if (id === `\0${emptyEntryId}`) {
+          return "";
+        }
+        if (twigImports.isTwigImport(id)) {
+          return twigImports.load(id, this);
+        }
+
+        if (!id.startsWith(`\0${hmrClientId}`)) {
+          return;
+        }
+
+        // Reloads the page only when one of the files it was rendered from changed
+        const page = new URLSearchParams(id.split("?")[1]).get("page");
+        return `if (import.meta.hot) {
+  import.meta.hot.on("${name}:reload", ({ pages }) => {
+    if (pages.includes(${JSON.stringify(page)})) {
+      location.reload();
+    }
+  });
+}
+`;
+      },
       transformIndexHtml: {
         order: "pre",
         async handler(content, { path, filename, server }) {
-          return pluginTransform(
+          if (collectionIds.has(normalizePath(filename))) {
+            const collectionPage = await collections.getPageById(
+              normalizePath(filename),
+            );
+            const output = await renderTemplate(
+              {
+                filename: `${collectionPage.file}.html`,
+                resolvedConfig,
+                getRenderer,
+                getGlobalData,
+                pageNumber: collectionPage.pageNumber,
+              },
+              collectionPage.content,
+              options,
+            );
+            if (output.error) {
+              throw new Error(output.error);
+            }
+            return output.content;
+          }
+
+          let page = null;
+          const html = await pluginTransform(
             content,
             { path, filename, server },
-            { name, options, resolvedConfig, renderTemplate },
+            {
+              name,
+              options,
+              resolvedConfig,
+              renderTemplate: async (
+                context,
+                templateContent,
+                renderOptions,
+              ) => {
+                const output = await renderTemplate(
+                  { ...context, getRenderer, getGlobalData },
+                  templateContent,
+                  renderOptions,
+                );
+
+                if (output.dependencies) {
+                  page = normalizePath(
+                    relative(
+                      resolvedConfig.root,
+                      context.filename.replace(".html", ""),
+                    ),
+                  );
+                  dependencyGraph.update(page, output.dependencies);
+                }
+
+                return output;
+              },
+            },
           );
+
+          if (!server || !page) {
+            return html;
+          }
+
+          // on render errors the overlay is shown over the original content
+          return {
+            html: html ?? content,
+            tags: [
+              {
+                tag: "script",
+                attrs: {
+                  type: "module",
+                  src: `${resolvedConfig.base}@id/__x00__${hmrClientId}?page=${encodeURIComponent(page)}`,
+                },
+                injectTo: "head",
+              },
+            ],
+          };
         },
       },
-      handleHotUpdate: ({ file, server }) =>
-        pluginReload({ file, server }, options),
+      handleHotUpdate: async ({ file, server }) => {
+        if (phpFiles.has(file)) {
+          // the render servers only load these once, so they start over
+          resolvedConfig.logger.info(
+            `${name}: ${normalizePath(relative(resolvedConfig.root, file))} changed, restarting the PHP render server`,
+            { timestamp: true },
+          );
+          await twigRenderer?.restart();
+          server.ws.send({ type: "full-reload", path: "*" });
+          return [];
+        }
+
+        await updateGlobalData(file);
+
+        const pages = dependencyGraph.getDependents(file);
+
+        if (options.reload !== true || pages.length === 0) {
+          return pluginReload({ file, server }, options);
+        }
+
+        server.ws.send({
+          type: "custom",
+          event: `${name}:reload`,
+          data: { pages },
+        });
+
+        return [];
+      },
+    },
+    {
+      name: `${name}:import`,
+      enforce: "pre",
+      // before Vite's own resolver, which keeps the query as it is
+      async resolveId(id, importer) {
+        const [source, query = ""] = id.split("?");
+        if (!twigImports.isTwigImport(id) || !query.includes("html")) {
+          return null;
+        }
+
+        const resolved = await this.resolve(source, importer, {
+          skipSelf: true,
+        });
+        return resolved && twigImports.getHtmlId(resolved.id, query);
+      },
+    },
+    {
+      name: `${name}:output-formats`,
+      apply: "serve",
+      configureServer(server) {
+        // after the pages plugin rewrote the url, before vituum serves the
+        // template as html
+        return () => {
+          server.middlewares.use(async (req, res, next) => {
+            const { pathname } = new URL(req.originalUrl, "http://localhost");
+            const format = getOutputFormat(`${pathname}.twig`, options);
+            const file = findOutputTemplate(pathname, options, resolvedConfig);
+            if (!format || !file) {
+              next();
+              return;
+            }
+
+            try {
+              const output = await renderTemplate(
+                {
+                  filename: `${file}.html`,
+                  server,
+                  resolvedConfig,
+                  getRenderer,
+                  getGlobalData,
+                },
+                await fs.promises.readFile(file, "utf8"),
+                options,
+              );
+
+              if (output.content === undefined) {
+                // render errors go to the overlay of the open pages
+                res.statusCode = 500;
+                res.setHeader("Content-Type", "text/plain; charset=utf-8");
+                res.end(
+                  output.error ??
+                    `${name}: unable to render ${normalizePath(relative(resolvedConfig.root, file))}`,
+                );
+                return;
+              }
+
+              res.statusCode = 200;
+              res.setHeader(
+                "Content-Type",
+                `${options.outputFormats[format]}; charset=utf-8`,
+              );
+              res.end(output.content);
+            } catch (error) {
+              next(error);
+            }
+          });
+        };
+      },
+    },
+    // vituum's `pluginBundle()`, which only takes a list of files as input
+    {
+      name: `${name}:bundle`,
+      enforce: "post",
+      generateBundle: (_, bundle) =>
+        renameGenerateBundle(bundle, {
+          files: getInputFiles(resolvedConfig.build.rollupOptions.input),
+          root: resolvedConfig.root,
+          formats: options.formats,
+        }),
     },
-    pluginBundle(options.formats),
     pluginMiddleware(name, options.formats),
   ];
 };
 
+export { createRenderer } from "./twig-renderer.js";
+export { prerender } from "./prerender.js";
 export default plugin;
@@ -0,0 +1,192 @@
+// Generated from config.schema.json by scripts/build-types.js, do not edit.
+
+/**
+ * Config of a `TwigRenderer`; every option but `src` has a default.
+ */
+export interface TwigRendererConfig {
+  /**
+   * Twig Source Files
+   */
+  src: {
+    /**
+     * Root directories for Twig Loader
+     */
+    roots: string[];
+    namespaces?: {
+      /**
+       * Machine Name of Namespace; will use as `@id/file.twig`.
+       */
+      id: string;
+      /**
+       * If set, will expand all paths to include all sub-directories.
+       * @default false
+       */
+      recursive?: boolean;
+      /**
+       * Paths to directories to look for twig files in under this Namespace.
+       */
+      paths: string[];
+    }[];
+  };
+  /**
+   * Path to directory that all paths in this config are relative from. Defaults to CWD.
+   */
+  relativeFrom?: string;
+  /**
+   * Alter Twig Environment: A collection of PHP files and their functions to call that can alter the Twig_Environment right after it is created. This allows adding Twig Extensions and many others things.
+   */
+  alterTwigEnv?: {
+    /**
+     * PHP file to include that contains the functions to call.
+     */
+    file?: string;
+    /**
+     * PHP Functions to execute with a param of Twig_Environment.
+     */
+    functions?: string[];
+  }[];
+  /**
+   * JavaScript callbacks to register as Twig filters, keyed by filter name. The filtered value is the first argument; arguments and return values must be JSON serializable.
+   * @default {}
+   */
+  filters?: Record<string, (...args: any[]) => unknown>;
+  /**
+   * JavaScript callbacks to register as Twig functions, keyed by function name. Arguments and return values must be JSON serializable.
+   * @default {}
+   */
+  functions?: Record<string, (...args: any[]) => unknown>;
+  /**
+   * JavaScript callbacks to register as Twig tests, keyed by test name. The tested value is the first argument; the return value is cast to a boolean.
+   * @default {}
+   */
+  tests?: Record<string, (...args: any[]) => unknown>;
+  /**
+   * Twig extension classes to add to the environment, by fully qualified class name, e.g. `App\Twig\AppExtension`. They must be autoloadable, see `composerAutoload`, and have a constructor without arguments.
+   * @default []
+   */
+  extensions?: string[];
+  /**
+   * Twig globals, available in every template. Values must be JSON serializable.
+   * @default {}
+   */
+  globals?: Record<string, unknown>;
+  /**
+   * Composer autoloader of the project, e.g. `vendor/autoload.php`, for the classes in `extensions` and `alterTwigEnv` files.
+   */
+  composerAutoload?: string;
+  /**
+   * Should there be an 'info' key on the response object with extra debug details?
+   * @default false
+   */
+  hasExtraInfoInResponses?: boolean;
+  /**
+   * Passed to creation of Twig Environment.
+   * @default false
+   */
+  autoescape?: boolean;
+  /**
+   * Passed to creation of Twig Environment.
+   * @default true
+   */
+  debug?: boolean;
+  /**
+   * Passed to creation of Twig Environment as `strict_variables`. "report" renders like `false`, but lists the undefined variables each render used in its response as `undefinedVariables`.
+   * @default false
+   */
+  strictVariables?: boolean | "report";
+  /**
+   * Profile every render with Twig's ProfilerExtension. Each render response gets a `profile` tree, which the renderer also collects in its `profiler` for a report or a Chrome trace, keeping the latest 1000.
+   * @default false
+   */
+  profile?: boolean;
+  /**
+   * Other options for the Twig Environment, e.g. `charset` or `optimizations`. The ones this config has options for, like `debug` or `strictVariables`, are set by those.
+   * @default {}
+   */
+  environmentOptions?: Record<string, unknown>;
+  /**
+   * Enables the `vite_asset(path)` and `vite_entry(path)` Twig functions. Holds the JS functions resolving them: `asset(path)` returns a url, `entry(path)` the html tags loading an entry.
+   */
+  assetResolver?: {
+    asset: (path: string) => string | Promise<string>;
+    entry: (path: string) => string | Promise<string>;
+  };
+  /**
+   * Directory to keep compiled templates in, so they survive render server restarts. Relative to `relativeFrom`; `false` disables caching.
+   * @default false
+   */
+  cache?: string | false;
+  /**
+   * Recompile cached templates when their source changes. Passed to creation of Twig Environment as `auto_reload`; always on with `cache`, as the compiled templates outlive the render server.
+   * @default false
+   */
+  autoReload?: boolean;
+  /**
+   * Should the terminal output a lot of info?
+   * @default false
+   */
+  verbose?: boolean;
+  /**
+   * Where to log to instead of the console, e.g. Vite's logger. Holds the JS functions `info(message)`, `warn(message)` and `error(message)`.
+   */
+  logger?: {
+    info: (message: string) => void;
+    warn: (message: string) => void;
+    error: (message: string) => void;
+  };
+  /**
+   * PHP cli to run the render servers with; a command on the PATH or a path to the binary.
+   * @default "php"
+   */
+  phpBinary?: string;
+  /**
+   * PHP `memory_limit` for the render servers.
+   * @default "4048M"
+   */
+  memoryLimit?: string;
+  /**
+   * Extra PHP ini settings for the render servers, passed as `-d key=value`. Takes precedence over `memoryLimit`.
+   * @default {}
+   */
+  ini?: Record<string, string | number | boolean>;
+  /**
+   * Extra environment variables for the PHP processes.
+   * @default {}
+   */
+  env?: Record<string, string>;
+  /**
+   * How to talk to the PHP render server: over HTTP on a local port, or newline-delimited JSON over the process' stdin/stdout. `stdio` needs no open port.
+   * @default "http"
+   */
+  transport?: "http" | "stdio";
+  /**
+   * How many PHP render servers to run. Requests are spread across them, so builds can use more than one CPU core.
+   * @default 1
+   */
+  workers?: number;
+  /**
+   * Keep render server alive?: If false, spins up PHP render server for each batch of render calls. If true, requires deliberate calls to start and stop render server.
+   * @default false
+   */
+  keepAlive?: boolean;
+  /**
+   * How many concurrent template rendering requests to do. Reduce if you get errors.
+   * @default 100
+   */
+  maxConcurrency?: number;
+  /**
+   * Milliseconds to wait for a response before failing the request and restarting the PHP server that handled it. `0` waits forever.
+   * @default 30000
+   */
+  requestTimeout?: number;
+  /**
+   * How many times to retry a request that failed to reach PHP, and to try restarting a crashed PHP server.
+   * @default 2
+   */
+  retries?: number;
+  /**
+   * Milliseconds to wait before the first retry; doubled for every retry after that.
+   * @default 100
+   */
+  retryDelay?: number;
+}
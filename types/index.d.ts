@@ -0,0 +1,205 @@
+/// <reference path="./twig-modules.d.ts" />
+import type { InlineConfig, Plugin } from "vite";
+import type { TwigRendererConfig } from "./config.js";
+import type TwigRenderer from "./twig-renderer.js";
+
+export type { TwigRendererConfig };
+
+/**
+ * What a render request returns
+ */
+export interface RenderResults {
+  ok: boolean;
+  html: string;
+  message: string;
+  /** Templates the render loaded, as files */
+  dependencies?: string[];
+  /** Where a failed render failed */
+  error?: {
+    message: string;
+    /** Template name */
+    name: string | null;
+    file: string | null;
+    line: number | null;
+    /** Lines around `line` */
+    snippet: { line: number; code: string }[];
+    previous: string | null;
+  };
+  /** With `strictVariables: "report"` */
+  undefinedVariables?: {
+    name: string;
+    template: string;
+    file: string | null;
+    line: number;
+  }[];
+  /** With `profile: true` */
+  profile?: TwigProfile;
+}
+
+export interface TwigProfile {
+  type: "root" | "template" | "block" | "macro";
+  template: string;
+  name: string;
+  /** Epoch milliseconds */
+  start: number;
+  /** Milliseconds, including nested profiles */
+  duration: number;
+  /** Bytes */
+  memory: number;
+  profiles: TwigProfile[];
+}
+
+/**
+ * One render of a batch: a template name, or an inlined template
+ */
+export type RenderJob =
+  | { template: string; data?: object }
+  | { string: string; data?: object; name?: string };
+
+/**
+ * What `createRenderer()` returns
+ */
+export interface Renderer extends AsyncDisposable {
+  /** The underlying `TwigRenderer` */
+  renderer: TwigRenderer;
+  /** Start the PHP render servers; renders also start them */
+  start(): Promise<void>;
+  /** Stop the PHP render servers */
+  stop(): Promise<void>;
+  render(template: string, data?: object): Promise<RenderResults>;
+  renderString(
+    template: string,
+    data?: object,
+    name?: string,
+  ): Promise<RenderResults>;
+  /**
+   * One request per worker for all `jobs`, rendered with `data` and their own
+   * data merged over it. Results are in the order of `jobs`.
+   */
+  renderBatch(jobs: RenderJob[], data?: object): Promise<RenderResults[]>;
+  /**
+   * Data every template renders with, as Twig globals: sent to each PHP
+   * server once rather than with every render
+   */
+  setGlobals(globals: object): Promise<void>;
+}
+
+/**
+ * A renderer with an explicit lifecycle: its PHP servers start with `start()`
+ * or the first render and stay up until `stop()`, or the end of an
+ * `await using` block.
+ */
+export function createRenderer(config: TwigRendererConfig): Renderer;
+
+/**
+ * Data for the pages: merged into the page data, with the template being
+ * rendered relative to the root and the data collected so far
+ */
+export type DataProvider = (
+  templatePath: string,
+  context: Record<string, unknown>,
+) => object | Promise<object>;
+
+export interface PrerenderOptions {
+  /** Dir with the pages, relative to the Twig root */
+  pages?: string;
+  /** Defaults to Vite's `build.outDir` */
+  outDir?: string | null;
+  /** e.g. `https://example.com`; the sitemap is skipped without it */
+  hostname?: string | null;
+  /** Pages rendered per batch request */
+  batchSize?: number;
+}
+
+export interface PluginUserConfig {
+  /** Twig root, defaults to Vite's root */
+  root?: string | null;
+  /** Reload the page when a template it depends on changes */
+  reload?: boolean;
+  /** Keep compiled templates in Vite's cache dir, or in this dir */
+  cache?: boolean | string;
+  /** Serve the component preview at `{base}__twig/components` in dev */
+  componentPreview?: boolean;
+  /**
+   * Fail the build when a template doesn't compile. Templates in the build
+   * output, the public dir and Composer's vendor dir aren't linted, unless a
+   * namespace points there.
+   */
+  lint?: boolean;
+  /** `"report"` warns in dev and fails the build on undefined variables */
+  strictVariables?: boolean | "report";
+  /**
+   * Profile renders; the report on the latest 1000 is logged once the build
+   * or dev server is done
+   */
+  profile?:
+    | boolean
+    | {
+        /** Chrome trace to write, relative to the root */
+        trace?: string;
+        /** How many pages and templates to list */
+        limit?: number;
+      };
+  environmentOptions?: TwigRendererConfig["environmentOptions"];
+  debug?: boolean;
+  autoescape?: boolean;
+  /** Build manifest for `vite_asset()` and `vite_entry()`, relative to the root */
+  manifest?: string | false;
+  /**
+   * Render every page to html files at build time. The pages skip Vite's
+   * html pipeline, so they load scripts and styles with `vite_entry()` and
+   * `vite_asset()`; a `<script src>` or `<link href>` pointing at a source
+   * fails the prerender.
+   */
+  prerender?: boolean | PrerenderOptions;
+  filters?: TwigRendererConfig["filters"];
+  functions?: TwigRendererConfig["functions"];
+  tests?: TwigRendererConfig["tests"];
+  extensions?: string[];
+  /** Twig globals; `globals` is the data every page renders with */
+  twigGlobals?: Record<string, unknown>;
+  composerAutoload?: string | null;
+  /** Twig namespaces, by id, relative to the root */
+  namespaces?: Record<string, string | string[]>;
+  alterTwigEnv?: { file: string; functions?: string[] }[];
+  /** Data every page renders with */
+  globals?: Record<string, unknown>;
+  /** Globs of data files, and data providers */
+  data?: string | DataProvider | (string | DataProvider)[];
+  /** Page formats */
+  formats?: string[];
+  /**
+   * Templates rendering something else than html, e.g. `feed.xml.twig`, by
+   * extension, with the content type the dev server serves them with. They
+   * are built to their own extension, without the html transforms.
+   */
+  outputFormats?: Record<string, string>;
+  /**
+   * Globs of pages and templates to skip: relative to the pages dir when
+   * prerendering, and to the Twig root when linting
+   */
+  ignoredPaths?: string[];
+  phpBinary?: TwigRendererConfig["phpBinary"];
+  memoryLimit?: TwigRendererConfig["memoryLimit"];
+  ini?: TwigRendererConfig["ini"];
+  env?: TwigRendererConfig["env"];
+  transport?: TwigRendererConfig["transport"];
+  workers?: TwigRendererConfig["workers"];
+  requestTimeout?: TwigRendererConfig["requestTimeout"];
+  retries?: TwigRendererConfig["retries"];
+  verbose?: boolean;
+}
+
+declare function plugin(options?: PluginUserConfig): Plugin[];
+
+/**
+ * Prerender a site outside of `vite build`, using the Twig plugin from the
+ * Vite config. Assets resolve through the manifest of a previous build.
+ * Resolves to the files written, relative to the out dir.
+ */
+export function prerender(
+  inlineConfig?: InlineConfig,
+  overrides?: PrerenderOptions,
+): Promise<string[]>;
+
+export default plugin;
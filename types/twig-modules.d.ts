@@ -0,0 +1,23 @@
+// Templates imported from JS. A script file: module declarations with
+// wildcards only apply outside of modules.
+
+declare module "*.twig" {
+  /** Template name, e.g. `@components/card.twig` */
+  export const template: string;
+  export function render(data?: object): Promise<string>;
+  export default render;
+}
+
+declare module "*.twig?html" {
+  export const template: string;
+  const html: string;
+  export default html;
+}
+
+// `card.twig?data=./card.json&html`; a pattern has one wildcard at most, so
+// `html` goes last when there is data
+declare module "*&html" {
+  export const template: string;
+  const html: string;
+  export default html;
+}
@@ -0,0 +1,140 @@
+import type {
+  RenderJob,
+  RenderResults,
+  Renderer,
+  TwigProfile,
+  TwigRendererConfig,
+} from "./index.js";
+
+export type { RenderJob, RenderResults, Renderer, TwigRendererConfig };
+
+/** Composer's vendor dir of the package, with Twig */
+export const vendorDir: string;
+/** Namespace of the templates in `src.roots` */
+export const mainNamespace: "__main__";
+
+/**
+ * Collects the Twig profiles of renders, keeping the latest `maxRenders`
+ */
+export interface RenderProfiler {
+  maxRenders: number;
+  renders: { name: string; profile: TwigProfile }[];
+  /** Renders left out to stay within `maxRenders` */
+  dropped: number;
+  add(name: string, profile: TwigProfile): void;
+  reset(): void;
+  /** Slowest first, of the renders kept */
+  getReport(limit?: number): {
+    renders: number;
+    dropped: number;
+    duration: number;
+    pages: { name: string; duration: number }[];
+    templates: {
+      template: string;
+      renders: number;
+      duration: number;
+      self: number;
+      max: number;
+    }[];
+  };
+  /** The report, for the terminal */
+  formatReport(limit?: number): string;
+  /** Every render as a row in Chrome's trace format */
+  toChromeTrace(): { traceEvents: object[] };
+  writeChromeTrace(file: string): Promise<void>;
+}
+
+/**
+ * Renders Twig templates with a pool of PHP servers, started on the first
+ * request or with `start()`
+ */
+export default class TwigRenderer implements AsyncDisposable {
+  /**
+   * @throws {InvalidConfigError} when the config doesn't match the schema
+   * @throws {PhpEnvironmentError} when PHP or Twig are missing or too old
+   */
+  constructor(config: TwigRendererConfig);
+  /** The config, with the defaults filled in and paths resolved */
+  config: TwigRendererConfig;
+  /** The `logger` option, or the console */
+  logger: NonNullable<TwigRendererConfig["logger"]>;
+  /** With `profile: true` */
+  profiler: RenderProfiler | null;
+  /** Start the PHP servers now, rather than on the first request */
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  /**
+   * Restart the PHP servers, e.g. once PHP files they loaded changed.
+   * Requests already sent are answered by the old servers first.
+   */
+  restart(): Promise<void>;
+  render(template: string, data?: object): Promise<RenderResults>;
+  renderString(
+    template: string,
+    data?: object,
+    name?: string,
+  ): Promise<RenderResults>;
+  /**
+   * One request per worker for all `jobs`, rendered with `data` and their own
+   * data merged over it. Results are in the order of `jobs`.
+   */
+  renderBatch(
+    jobs: (RenderJob & { name?: string })[],
+    data?: object,
+  ): Promise<RenderResults[]>;
+  /**
+   * Data every template renders with, as Twig globals: sent to each PHP
+   * server once rather than with every render
+   */
+  setGlobals(globals: object): Promise<void>;
+  /** Parse YAML, NEON or PHP data files with the PHP side's parsers */
+  parseData(
+    sources: { format: string; file: string; content?: string }[],
+  ): Promise<{ ok: boolean; data: object[]; message: string }>;
+  /** Every template in the roots and namespaces, named the way Twig loads them */
+  getTemplates(): Promise<{ namespace: string; name: string; file: string }[]>;
+  /** Check templates for syntax errors without rendering them */
+  lint(templates: string[]): Promise<{
+    ok: boolean;
+    message: string;
+    errors: (NonNullable<RenderResults["error"]> & { template: string })[];
+  }>;
+  /** Request counts, overall and per worker */
+  getStats(): {
+    totalRequests: number;
+    completedRequests: number;
+    inProgressRequests: number;
+    workers: {
+      id: number;
+      pid: number | null;
+      state: string;
+      requests: number;
+      failures: number;
+      restarts: number;
+      inProgress: number;
+      renderTime: number;
+    }[];
+  };
+  [Symbol.asyncDispose](): Promise<void>;
+}
+
+export function createRenderer(config: TwigRendererConfig): Renderer;
+
+/**
+ * Base class for errors thrown by TwigRenderer. `code` is stable and safe to
+ * switch on; the message is for humans.
+ */
+export class TwigRendererError extends Error {
+  constructor(message: string, options?: { code?: string; cause?: unknown });
+  code: string;
+}
+/** `ERR_TWIG_REQUEST_TIMEOUT`: no response within `requestTimeout` */
+export class RequestTimeoutError extends TwigRendererError {}
+/** `ERR_TWIG_SERVER_EXIT`: a PHP server exited while starting or rendering */
+export class ServerExitError extends TwigRendererError {}
+/** `ERR_TWIG_REQUEST_FAILED`: still failing after all retries */
+export class RequestFailedError extends TwigRendererError {}
+/** `ERR_TWIG_PHP_ENVIRONMENT`: PHP or its Composer dependencies are missing or too old */
+export class PhpEnvironmentError extends TwigRendererError {}
+/** `ERR_TWIG_INVALID_CONFIG`: the config doesn't match `config.schema.json` */
+export class InvalidConfigError extends TwigRendererError {}
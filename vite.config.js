@@ -27,6 +27,7 @@ export default defineConfig({
         "vite-plugin": resolve(__dirname, "src/vite-plugin.js"),
         "twig-renderer": resolve(__dirname, "src/twig-renderer.js"),
         "utils": resolve(__dirname, "src/utils.js"),
+        "cli": resolve(__dirname, "src/cli.js"),
       },
       formats: ["es", "cjs"],
       fileName: (format, entryName) => {